@@ -1,8 +1,12 @@
-import { describe, test, expect } from "vitest";
+import { describe, test, expect, vi } from "vitest";
 import { Editor } from "@tiptap/core";
 import StarterKit from "@tiptap/starter-kit";
 import { Markdown } from "../src/Markdown";
 import Bold from "@tiptap/extension-bold";
+import Highlight from "@tiptap/extension-highlight";
+import Image from "@tiptap/extension-image";
+import { createEditor } from "./utils/editor";
+import { FootnoteReference, FootnoteDefinition, TableOfContents, WikiLink } from "../src";
 
 
 describe('Markdown', () => {
@@ -17,6 +21,38 @@ describe('Markdown', () => {
             editor.commands.setContent('**example**');
             expect(editor.getHTML()).toBe('<p><strong>example</strong></p>');
         })
+        test('syncMarkdown', () => {
+            const editor = new Editor({
+                content: '# title\n\nfirst\n\nsecond',
+                extensions: [
+                    Markdown,
+                    StarterKit,
+                ],
+            });
+            const second = editor.state.doc.content.size - 2;
+            editor.commands.setTextSelection(second);
+            const { doc } = editor.state;
+
+            editor.commands.syncMarkdown('# title\n\n**first** line\n\nsecond');
+            expect(editor.getHTML()).toBe('<h1>title</h1><p><strong>first</strong> line</p><p>second</p>');
+            expect(editor.state.doc.firstChild).toBe(doc.firstChild);
+            expect(editor.state.selection.from).toBe(second + 5);
+
+            editor.commands.undo();
+            expect(editor.state.doc.eq(doc)).toBe(true);
+        })
+        test('syncMarkdown dry run', () => {
+            const editor = createEditor({ markdownOptions: { frontMatter: true } });
+            editor.commands.setContent('---\na: 1\n---\n\nx');
+            const { frontMatter } = editor.storage.markdown;
+
+            expect(editor.can().syncMarkdown('y')).toBe(true);
+            expect(editor.storage.markdown.frontMatter).toBe(frontMatter);
+            expect(editor.getHTML()).toBe('<p>x</p>');
+
+            editor.commands.syncMarkdown('y');
+            expect(editor.storage.markdown.frontMatter).toBe(null);
+        })
     });
     test('getMarkdown', () => {
         const editor = new Editor({
@@ -47,4 +83,318 @@ describe('Markdown', () => {
         });
         expect(editor.storage.markdown.getMarkdown()).toBe('***example***');
     });
+    test('parse setup', () => {
+        const editor = new Editor({
+            content: '==example==',
+            extensions: [
+                Markdown,
+                StarterKit,
+                Highlight.extend({
+                    addStorage() {
+                        return {
+                            markdown: {
+                                serialize: { open: '==', close: '==' },
+                                parse: {
+                                    setup(marked) {
+                                        marked.use({
+                                            extensions: [{
+                                                name: 'highlight',
+                                                level: 'inline',
+                                                start: src => src.indexOf('=='),
+                                                tokenizer(src) {
+                                                    const match = /^==([^=]+)==/.exec(src);
+                                                    if(match) {
+                                                        return { type: 'highlight', raw: match[0], text: match[1] };
+                                                    }
+                                                },
+                                                renderer: token => `<mark>${token.text}</mark>`,
+                                            }],
+                                        });
+                                    },
+                                },
+                            }
+                        }
+                    }
+                }),
+            ],
+        });
+        expect(editor.getHTML()).toBe('<p><mark>example</mark></p>');
+        expect(editor.storage.markdown.getMarkdown()).toBe('==example==');
+    });
+    test('isolated parser per editor', () => {
+        const withBreaks = createEditor({ markdownOptions: { breaks: true } });
+        const withoutBreaks = createEditor({ markdownOptions: { breaks: false } });
+
+        withBreaks.commands.setContent('example1\nexample2');
+        withoutBreaks.commands.setContent('example1\nexample2');
+
+        expect(withBreaks.getHTML()).toBe('<p>example1<br>example2</p>');
+        expect(withoutBreaks.getHTML()).toBe('<p>example1 example2</p>');
+    });
+    describe('getMarkdownWithMap', () => {
+        const createEditorWithContent = (content, markdownOptions) => {
+            const editor = createEditor({ markdownOptions });
+            editor.commands.setContent(content);
+            return editor;
+        };
+
+        test('text', () => {
+            const editor = createEditorWithContent('# title\n\nsome **bold** text');
+            const { markdown, map } = editor.storage.markdown.getMarkdownWithMap();
+            expect(markdown).toBe('# title\n\nsome **bold** text');
+            // "title" starts at doc position 1, "bold" at 13
+            expect(map.toMarkdownOffset(1)).toBe(2);
+            expect(map.toMarkdownOffset(13)).toBe(16);
+            expect(map.toDocPos(16)).toBe(13);
+            expect(map.toDocPos(markdown.length)).toBe(editor.state.doc.content.size - 1);
+        });
+        test('escaped text', () => {
+            const editor = createEditorWithContent('| a\\|b | c |\n| --- | --- |\n\na\\*b\\*c_d \\[x\\] end &lt; \\\\ z');
+            const { markdown, map } = editor.storage.markdown.getMarkdownWithMap();
+            expect(markdown).toBe('| a\\|b | c |\n| --- | --- |\n\na\\*b\\*c_d \\[x\\] end &lt; \\\\ z');
+            const { doc } = editor.state;
+            const text = doc.content.size - doc.lastChild.nodeSize + 1;
+            expect(map.toMarkdownOffset(text + 12)).toBe(markdown.indexOf('end'));
+            expect(map.toDocPos(markdown.indexOf('end'))).toBe(text + 12);
+            expect(map.toMarkdownOffset(text + 20)).toBe(markdown.indexOf('z'));
+            expect(map.toDocPos(markdown.indexOf('z'))).toBe(text + 20);
+            // inside "&lt;", back to "<"
+            expect(map.toDocPos(markdown.indexOf('&lt;') + 2)).toBe(text + 16);
+            // "b" after the escaped pipe of the first cell: table, row, cell, paragraph
+            expect(map.toMarkdownOffset(4 + 2)).toBe(markdown.indexOf('b |'));
+        });
+        test('nodes', () => {
+            const editor = createEditorWithContent('> quote\n\n- a\n- b');
+            const { markdown, map } = editor.storage.markdown.getMarkdownWithMap();
+            const item = map.spans.filter(span => span.type === 'listItem')[1];
+            expect(markdown.slice(item.start, item.end)).toBe('b');
+            expect(map.toDocPos(markdown.indexOf('quote'))).toBe(2);
+            expect(map.toMarkdownOffset(editor.state.doc.content.size)).toBe(markdown.length);
+        });
+        test('front matter', () => {
+            const editor = createEditorWithContent('---\na: 1\n---\n\nexample', { frontMatter: true });
+            const { markdown, map } = editor.storage.markdown.getMarkdownWithMap();
+            expect(map.toMarkdownOffset(1)).toBe(markdown.indexOf('example'));
+        });
+    });
+    describe('incremental', () => {
+        const content = '# title\n\n1. a\n2. b\n\n1) c\n\n- d\n\n```\ncode\n```\n\n| a | b |\n| --- | --- |\n| c | d |\n\ntext';
+        const full = editor => editor.storage.markdown.serializer.serialize(editor.state.doc);
+
+        test('identical to full serialization', () => {
+            const editor = createEditor({ markdownOptions: { incremental: true } });
+            editor.commands.setContent(content);
+            expect(editor.storage.markdown.getMarkdown()).toBe(full(editor));
+
+            editor.commands.insertContentAt(editor.state.doc.content.size, '<p>end</p>');
+            expect(editor.storage.markdown.getMarkdown()).toBe(full(editor));
+
+            // shifts the separator of the following adjacent ordered lists
+            editor.commands.insertContentAt(editor.state.doc.child(0).nodeSize, '<ol><li><p>new</p></li></ol>');
+            expect(editor.storage.markdown.getMarkdown()).toBe(full(editor));
+
+            editor.commands.deleteRange({ from: 0, to: editor.state.doc.child(0).nodeSize });
+            expect(editor.storage.markdown.getMarkdown()).toBe(full(editor));
+        });
+        test('reuses unchanged blocks', () => {
+            const editor = createEditor({ markdownOptions: { incremental: true } });
+            editor.commands.setContent(content);
+            editor.storage.markdown.getMarkdown();
+            const { blocks } = editor.storage.markdown.serializer;
+            const last = editor.state.doc.lastChild;
+            blocks.set(last, { ...blocks.get(last), out: 'cached' });
+            editor.commands.insertContentAt(1, 'new ');
+            expect(editor.storage.markdown.getMarkdown()).toMatch(/^# new title[^]*cached$/);
+        });
+        test('footnotes', () => {
+            const editor = createEditor({
+                extensions: [FootnoteReference, FootnoteDefinition],
+                markdownOptions: { incremental: true },
+            });
+            editor.commands.setContent('a[^1]\n\nb\n\n[^1]: note');
+            expect(editor.storage.markdown.getMarkdown()).toBe('a[^1]\n\nb\n\n[^1]: note');
+        });
+    });
+    describe('markdownUpdate event', () => {
+        const createEditorWithContent = markdownOptions => {
+            const editor = createEditor({ markdownOptions });
+            editor.commands.setContent('example');
+            return editor;
+        };
+
+        test('emitted', () => {
+            const editor = createEditorWithContent();
+            const onUpdate = vi.fn();
+            editor.on('markdownUpdate', onUpdate);
+            editor.commands.insertContentAt(editor.state.doc.content.size - 1, ' **text**');
+            expect(onUpdate).toHaveBeenCalledTimes(1);
+            expect(onUpdate.mock.calls[0][0]).toMatchObject({ markdown: 'example **text**', diff: null });
+        });
+        test('debounce', () => {
+            vi.useFakeTimers();
+            const editor = createEditorWithContent({ markdownUpdateDebounce: 100 });
+            const onUpdate = vi.fn();
+            editor.on('markdownUpdate', onUpdate);
+            editor.commands.insertContentAt(8, ' a');
+            editor.commands.insertContentAt(10, ' b');
+            expect(onUpdate).not.toHaveBeenCalled();
+            vi.advanceTimersByTime(100);
+            expect(onUpdate).toHaveBeenCalledTimes(1);
+            expect(onUpdate.mock.calls[0][0].markdown).toBe('example a b');
+            vi.useRealTimers();
+        });
+        test('diff', () => {
+            const editor = createEditorWithContent({ markdownUpdateDiff: true });
+            const onUpdate = vi.fn();
+            editor.on('markdownUpdate', onUpdate);
+            editor.commands.insertContentAt(4, '-');
+            expect(onUpdate.mock.calls[0][0]).toMatchObject({
+                markdown: 'exa-mple',
+                previous: 'example',
+                diff: { from: 3, to: 3, text: '-' },
+            });
+        });
+    });
+    describe('image attributes', () => {
+        const SizedImage = Image.extend({
+            addAttributes() {
+                return {
+                    ...this.parent?.(),
+                    width: { default: null },
+                    align: { default: null },
+                };
+            },
+        });
+        const createImageEditor = (content, options) => new Editor({
+            content,
+            extensions: [
+                Markdown.configure(options),
+                StarterKit,
+                SizedImage.configure({ inline: true }),
+            ],
+        });
+
+        test('html', () => {
+            const editor = createImageEditor('<p><img src="a.png" alt="a" width="300" align="center"></p>');
+            expect(editor.storage.markdown.getMarkdown()).toBe('<img src="a.png" alt="a" width="300" align="center">');
+            expect(createImageEditor('![b](b.png)').storage.markdown.getMarkdown()).toBe('![b](b.png)');
+        });
+        test('attributes', () => {
+            const options = { imageAttributeStyle: 'attributes' };
+            const editor = createImageEditor('<p><img src="a.png" alt="a" width="300" align="top left"> text</p>', options);
+            const markdown = editor.storage.markdown.getMarkdown();
+            expect(markdown).toBe('![a](a.png){width=300 align="top left"} text');
+            expect(createImageEditor(markdown, options).getHTML()).toBe(editor.getHTML());
+            expect(createImageEditor('![a](a.png){width=300}', { html: false }).getHTML()).toBe('<p><img src="a.png" alt="a" width="300"></p>');
+        });
+        test('not attributes', () => {
+            expect(createImageEditor('![a](a.png){other=1}').getHTML()).toBe('<p><img src="a.png" alt="a">{other=1}</p>');
+            expect(createImageEditor('![a](a.png){src="javascript:x"}', { html: false }).getHTML())
+                .toBe('<p><img src="a.png" alt="a">{src="javascript:x"}</p>');
+            expect(createImageEditor('![a](a.png){width=1 title=t}').getHTML())
+                .toBe('<p><img src="a.png" alt="a">{width=1 title=t}</p>');
+        });
+    });
+    describe('table of contents', () => {
+        test('getOutline', () => {
+            const editor = createEditor({ markdownOptions: { headingIds: true } });
+            editor.commands.setContent('# A\n\n## B {#custom}\n\ntext\n\n### C\n\n## A\n\n# D');
+            expect(editor.storage.markdown.getOutline()).toEqual([
+                { level: 1, text: 'A', id: 'a', pos: 0, children: [
+                    { level: 2, text: 'B', id: 'custom', pos: 3, children: [
+                        { level: 3, text: 'C', id: 'c', pos: 12, children: [] },
+                    ] },
+                    { level: 2, text: 'A', id: 'a-1', pos: 15, children: [] },
+                ] },
+                { level: 1, text: 'D', id: 'd', pos: 18, children: [] },
+            ]);
+        });
+        test('node view', () => {
+            const editor = createEditor({ extensions: [TableOfContents] });
+            editor.commands.setContent('<!-- toc -->\n\n# A\n\n## B');
+            const toc = editor.view.dom.querySelector('[data-type="tableOfContents"]');
+            expect(toc.innerHTML).toBe('<ul><li><a href="#a">A</a><ul><li><a href="#b">B</a></li></ul></li></ul>');
+            editor.commands.insertContentAt(editor.state.doc.content.size, {
+                type: 'heading',
+                attrs: { level: 2 },
+                content: [{ type: 'text', text: 'C' }],
+            });
+            expect(toc.querySelectorAll('a')).toHaveLength(3);
+            expect(editor.storage.markdown.getMarkdown()).toBe('<!-- toc -->\n\n# A\n\n## B\n\n## C');
+        });
+    });
+    test('wiki link resolve', () => {
+        const editor = new Editor({
+            content: '[[Page#Heading|label]] [[Missing]]',
+            extensions: [
+                Markdown,
+                StarterKit,
+                WikiLink.configure({
+                    resolveWikiLink: ({ target, anchor }) => target === 'Page' ? `/pages/${target}#${anchor}` : null,
+                }),
+            ],
+        });
+        expect(editor.getHTML()).toBe(
+            '<p><a data-type="wikiLink" href="/pages/Page#Heading" data-target="Page" data-anchor="Heading" data-label="label">label</a> '
+            + '<a data-type="wikiLink" data-broken="true" data-target="Missing">Missing</a></p>'
+        );
+        expect(editor.storage.markdown.getMarkdown()).toBe('[[Page#Heading|label]] [[Missing]]');
+    });
+    describe('front matter', () => {
+        const content = '---\ntitle: example\n---\n\n# example';
+
+        test('preserved', () => {
+            const editor = new Editor({
+                content,
+                extensions: [
+                    Markdown.configure({ frontMatter: true }),
+                    StarterKit,
+                ],
+            });
+            expect(editor.getHTML()).toBe('<h1>example</h1>');
+            expect(editor.storage.markdown.getFrontMatter()).toMatchObject({
+                format: 'yaml',
+                content: 'title: example',
+            });
+            expect(editor.storage.markdown.getMarkdown()).toBe(content);
+        });
+        test('parsed', () => {
+            const editor = new Editor({
+                content: '+++\ntitle = "example"\n+++\nexample',
+                extensions: [
+                    Markdown.configure({
+                        frontMatter: true,
+                        parseFrontMatter: (content, format) => ({ format, title: content.split('"')[1] }),
+                    }),
+                    StarterKit,
+                ],
+            });
+            expect(editor.storage.markdown.getFrontMatter().data).toEqual({ format: 'toml', title: 'example' });
+            expect(editor.storage.markdown.getMarkdown()).toBe('+++\ntitle = "example"\n+++\nexample');
+        });
+        test('setFrontMatter', () => {
+            const editor = new Editor({
+                content,
+                extensions: [
+                    Markdown.configure({ frontMatter: true }),
+                    StarterKit,
+                ],
+            });
+            editor.commands.setFrontMatter('title: other');
+            expect(editor.storage.markdown.getMarkdown()).toBe('---\ntitle: other\n---\n\n# example');
+            editor.commands.setFrontMatter(null);
+            expect(editor.storage.markdown.getMarkdown()).toBe('# example');
+        });
+        test('disabled', () => {
+            const editor = new Editor({
+                content,
+                extensions: [
+                    Markdown,
+                    StarterKit,
+                ],
+            });
+            expect(editor.storage.markdown.getFrontMatter()).toBe(null);
+            expect(editor.getHTML()).toContain('<hr>');
+        });
+    });
 });
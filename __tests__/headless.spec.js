@@ -0,0 +1,48 @@
+// @vitest-environment node
+import { describe, test, expect } from "vitest";
+import { JSDOM } from "jsdom";
+import StarterKit from "@tiptap/starter-kit";
+import { parseMarkdown, serializeMarkdown, Markdown } from "../src";
+
+
+describe('headless', () => {
+    const domParser = new (new JSDOM().window.DOMParser)();
+
+    test('no DOM', () => {
+        expect(typeof window).toBe('undefined');
+    });
+    test('parseMarkdown', () => {
+        expect(parseMarkdown('# title\n\n- **a**\n- b', { extensions: [StarterKit], domParser })).toEqual({
+            type: 'doc',
+            content: [
+                { type: 'heading', attrs: { level: 1, headingStyle: null }, content: [{ type: 'text', text: 'title' }] },
+                {
+                    type: 'bulletList',
+                    attrs: { tight: true },
+                    content: [
+                        { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', marks: [{ type: 'bold' }], text: 'a' }] }] },
+                        { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'b' }] }] },
+                    ],
+                },
+            ],
+        });
+    });
+    test('serializeMarkdown', () => {
+        const json = {
+            type: 'doc',
+            content: [
+                { type: 'heading', attrs: { level: 1 }, content: [{ type: 'text', text: 'title' }] },
+                { type: 'bulletList', content: [
+                    { type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'a' }] }] },
+                ] },
+            ],
+        };
+        expect(serializeMarkdown(json, { extensions: [StarterKit] })).toBe('# title\n\n- a');
+        expect(serializeMarkdown(json, { extensions: [Markdown.configure({ bulletListMarker: '*' }), StarterKit] })).toBe('# title\n\n* a');
+    });
+    test('round trip', () => {
+        const extensions = [StarterKit];
+        const markdown = '> quote\n\n1. `code`\n2. *em*\n\n```js\nlet a;\n```';
+        expect(serializeMarkdown(parseMarkdown(markdown, { extensions, domParser }), { extensions })).toBe(markdown);
+    });
+});
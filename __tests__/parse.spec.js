@@ -1,5 +1,7 @@
 import { describe, test, expect } from "vitest";
 import { parse, dedent } from './utils';
+import { createEditor } from './utils/editor';
+import { FootnoteReference, FootnoteDefinition, MathInline, MathBlock, TableOfContents, WikiLink } from "../src";
 
 describe('parse', () => {
     describe('marks', () => {
@@ -53,9 +55,38 @@ describe('parse', () => {
             test('markdown with linkify', () => {
                 expect(parse('http://example.org', { linkify:true })).toMatchSnapshot();
             });
+            test('markdown with linkify options', () => {
+                const markdown = 'https://example.org ftp://example.org/www.example.org www.example.org me@example.org http://intranet/a';
+                expect(parse(markdown, { linkify: false }, true))
+                    .toEqual(`<p>${markdown}</p>`);
+                expect(parse(markdown, {
+                    linkify: {
+                        protocols: ['https:', 'HTTP', 'mailto'],
+                        validate: href => new URL(href).hostname !== 'intranet',
+                    },
+                }, true)).toEqual(
+                    '<p><a target="_blank" rel="noopener noreferrer nofollow" data-link-form="bare" href="https://example.org">https://example.org</a> '
+                    + 'ftp://example.org/www.example.org '
+                    + '<a target="_blank" rel="noopener noreferrer nofollow" data-link-form="bare" href="http://www.example.org">www.example.org</a> '
+                    + '<a target="_blank" rel="noopener noreferrer nofollow" data-link-form="bare" href="mailto:me@example.org">me@example.org</a> '
+                    + 'http://intranet/a</p>'
+                );
+            });
             test('html', () => {
                 expect(parse('<a href="http://example.org">example</a>')).toMatchSnapshot();
             });
+            test('autolink forms', () => {
+                expect(parse('<http://example.org/a> http://example.org/b [http://example.org/c](http://example.org/c) <me@example.org>', { linkify: true })).toMatchSnapshot();
+            });
+            test('reference', () => {
+                expect(parse(
+                    '[full][Ref] [collapsed][] [shortcut] [undefined]\n'
+                    + '\n'
+                    + '[ref]: http://example.org "title"\n'
+                    + '[collapsed]: http://example.org/collapsed\n'
+                    + '[shortcut]: <http://example.org/shortcut>'
+                )).toMatchSnapshot();
+            });
         });
     });
     describe('nodes', () => {
@@ -89,6 +120,20 @@ describe('parse', () => {
             test('html h1', () => {
                 expect(parse('<h1>example</h1>')).toMatchSnapshot();
             });
+            test('markdown setext', () => {
+                expect(parse('example1\n===\n\nexample2\n---', {}, true))
+                    .toEqual('<h1 data-heading-style="setext">example1</h1><h2 data-heading-style="setext">example2</h2>');
+            });
+            test('markdown id', () => {
+                expect(parse('## example {#custom-id}', {}, true)).toEqual('<h2>example {#custom-id}</h2>');
+                expect(parse('## *example* {#custom-id} ##\n\nexample {#a}\n===', { headingIds: true }, true))
+                    .toEqual('<h2 id="custom-id"><em>example</em></h2><h1 data-heading-style="setext" id="a">example</h1>');
+                expect(parse('## a \\{#b}', { headingIds: true }, true)).toEqual('<h2>a {#b}</h2>');
+            });
+            test('markdown auto id', () => {
+                expect(parse('# Hello, World!\n\n## Hello World {#hello-world-1}\n\n## hello world\n\n## Émoi ça', { headingIds: 'auto' }, true))
+                    .toEqual('<h1 id="hello-world">Hello, World!</h1><h2 id="hello-world-1">Hello World</h2><h2 id="hello-world-2">hello world</h2><h2 id="émoi-ça">Émoi ça</h2>');
+            });
         });
         describe('bullet list', () => {
             test('markdown marker `-`', () => {
@@ -109,6 +154,23 @@ describe('parse', () => {
                 expect(parse('<ol><li>example1</li><li>example2</li></ol>')).toMatchSnapshot();
             });
         });
+        describe('task list', () => {
+            test('markdown', () => {
+                expect(parse('- [ ] example1\n- [x] example2')).toMatchSnapshot();
+            });
+            test('markdown loose', () => {
+                expect(parse('- [ ] example1\n\n- [x] example2')).toMatchSnapshot();
+            });
+            test('markdown nested', () => {
+                expect(parse('- [ ] example1\n  - [x] example2')).toMatchSnapshot();
+            });
+            test('markdown mixed with bullet items', () => {
+                expect(parse('- [ ] example1\n- example2')).toMatchSnapshot();
+            });
+            test('html', () => {
+                expect(parse('<ul data-type="taskList"><li data-type="taskItem" data-checked="true">example1</li></ul>')).toMatchSnapshot();
+            });
+        });
         describe('fence', () => {
             test('markdown', () => {
                 expect(parse('```\nexample\n```')).toMatchSnapshot();
@@ -116,6 +178,14 @@ describe('parse', () => {
             test('markdown with lang', () => {
                 expect(parse('```js\nexample\n```')).toMatchSnapshot();
             });
+            test('markdown with meta', () => {
+                expect(parse('```js title="a.js"\nexample\n```', {}, true))
+                    .toEqual('<pre data-meta="title=&quot;a.js&quot;"><code class="language-js">example</code></pre>');
+            });
+            test('markdown with longer fence', () => {
+                expect(parse('````\n```\nexample\n```\n````', {}, true))
+                    .toEqual('<pre><code>```\nexample\n```</code></pre>');
+            });
             test('markdown with languageClassPrefix', () => {
                 expect(parse('```js\nexample\n```', { codeBlock: { languageClassPrefix: 'lang--' } }, true))
                     .toEqual('<pre><code class="lang--js">example</code></pre>');
@@ -171,6 +241,14 @@ describe('parse', () => {
                 `)).toMatchSnapshot();
             });
 
+            test('markdown aligned', () => {
+                expect(parse(dedent`
+                    example1 | example2 | example3
+                    :--- | :---: | ---:
+                    example4 | example5 | example6
+                `, {}, true)).toContain('<th style="text-align: left"');
+            });
+
             test('html', () => {
                 expect(parse(dedent`
                     <table>
@@ -190,6 +268,47 @@ describe('parse', () => {
                 `)).toMatchSnapshot();
             });
         });
+        describe('footnotes', () => {
+            const extensions = [FootnoteReference, FootnoteDefinition];
+            test('markdown', () => {
+                expect(parse('example[^1]\n\n[^1]: footnote', { extensions })).toMatchSnapshot();
+            });
+            test('markdown multiline definition', () => {
+                expect(parse('example[^note]\n\n[^note]: footnote1\n\n    footnote2', { extensions })).toMatchSnapshot();
+            });
+        });
+        describe('math', () => {
+            const extensions = [MathInline, MathBlock];
+            test('inline', () => {
+                expect(parse('example $a^2$ and $$b_1$$', { extensions }, true))
+                    .toEqual('<p>example <span data-type="mathInline" data-latex="a^2" data-delimiter="$">a^2</span> and <span data-type="mathInline" data-latex="b_1" data-delimiter="$$">b_1</span></p>');
+            });
+            test('inline not math', () => {
+                expect(parse('$5 and $6', { extensions }, true)).toEqual('<p>$5 and $6</p>');
+                expect(parse('\\$a$ b', { extensions }, true)).toEqual('<p>$a$ b</p>');
+            });
+            test('block', () => {
+                expect(parse('$$\na < b\n$$', { extensions }, true))
+                    .toEqual('<div data-type="mathBlock" data-latex="a < b" data-delimiter="$$">a &lt; b</div>');
+            });
+            test('fence', () => {
+                expect(parse('```math\na\n```', { extensions }, true))
+                    .toEqual('<div data-type="mathBlock" data-latex="a" data-delimiter="```">a</div>');
+            });
+        });
+        test('table of contents', () => {
+            expect(parse('[[TOC]]\n\n<!-- toc -->\n\n[[toc]] text', { extensions: [TableOfContents, WikiLink] }, true))
+                .toEqual('<div data-type="tableOfContents" data-placeholder="[[TOC]]"></div><div data-type="tableOfContents" data-placeholder="<!-- toc -->"></div><p><a data-type="wikiLink" data-target="toc">toc</a> text</p>');
+        });
+        test('wiki link', () => {
+            expect(parse('[[Page]] [[Page#Some heading|the *label*]] [[#Heading]] [[Page|]] [[]] [[a\nb]]', { extensions: [WikiLink] }, true)).toEqual(
+                '<p><a data-type="wikiLink" data-target="Page">Page</a> '
+                + '<a data-type="wikiLink" data-target="Page" data-anchor="Some heading" data-label="the *label*">the *label*</a> '
+                + '<a data-type="wikiLink" data-target="" data-anchor="Heading">#Heading</a> '
+                + '<a data-type="wikiLink" data-target="Page" data-label=""></a> '
+                + '[[]] [[a b]]</p>'
+            );
+        });
         describe('html', () => {
             test('block', () => {
                 expect(parse('<custom-element>example</custom-element>', {
@@ -224,6 +343,36 @@ describe('parse', () => {
                     },
                 })).toMatchSnapshot();
             })
+            test('disabled block', () => {
+                expect(parse('<div onclick="alert(1)">\n*text*\n</div>\n\n<!-- comment -->', { html: false }, true))
+                    .toEqual('<p>&lt;div onclick="alert(1)"&gt; <em>text</em></p><p>&lt;/div&gt;</p><p>&lt;!-- comment --&gt;</p>');
+            });
+            test('disabled inline', () => {
+                expect(parse('a <img src="x" onerror="alert(1)"> <b>b</b> <http://example.org>', { html: false }, true))
+                    .toEqual('<p>a &lt;img src="x" onerror="alert(1)"&gt; &lt;b&gt;b&lt;/b&gt; <a target="_blank" rel="noopener noreferrer nofollow" data-link-form="angle" href="http://example.org">http://example.org</a></p>');
+                expect(parse('a <span>b</span>', { html: false, inline: true }, true))
+                    .toEqual('a &lt;span&gt;b&lt;/span&gt;');
+            });
+            describe('restricted', () => {
+                const parseHTML = (markdown, html) => createEditor({ markdownOptions: { html } }).storage.markdown.parser.parse(markdown);
+
+                test('allow', () => {
+                    expect(parseHTML('<details>\n<summary>a</summary>\n<div>b</div>\n</details>\n\n<kbd onclick="x">Ctrl</kbd> <span>c</span> *d*', { allow: ['details', 'summary', 'KBD'] }))
+                        .toEqual('<details>\n<summary>a</summary>b\n</details>\n<p><kbd onclick="x">Ctrl</kbd> c <em>d</em></p>');
+                    expect(parseHTML('a <script>alert(1)</script>\n\n<style>\np {}\n</style>', { allow: [] }))
+                        .toEqual('<p>a alert(1)</p>');
+                    expect(parseHTML('<div>\n<<b>img src="x.png" onerror="alert(1)">\n</div>', { allow: ['div'] }))
+                        .toEqual('<div>\n\n</div>');
+                });
+                test('sanitize', () => {
+                    expect(parseHTML(
+                        '<img src="x.png" onerror="alert(1)"> <a href=" javascript:alert(1)" title="t">a</a> [b](javascript:alert(1)) ![c](data:image/png;base64,AA==)\n\n<iframe src="x"></iframe>',
+                        { sanitize: true }
+                    )).toEqual('<img src="x.png"><p> <a title="t">a</a> <a data-link-form="explicit">b</a> <img src="data:image/png;base64,AA==" alt="c"></p>');
+                    expect(parseHTML('<iframe src="x"></iframe>', { allow: ['iframe'], sanitize: true }))
+                        .toEqual('<iframe src="x"></iframe>');
+                });
+            });
         });
     });
     describe('options', () => {
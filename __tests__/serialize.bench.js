@@ -0,0 +1,34 @@
+import { bench, describe } from "vitest";
+import { DOMParser } from "prosemirror-model";
+import { createEditor } from "./utils/editor";
+import { elementFromString } from "../src/util/dom";
+import largeContent from "../example/src/data/large-content";
+
+
+describe('serialize', () => {
+    const editor = createEditor();
+    const { serializer } = editor.storage.markdown;
+    const parse = html => DOMParser.fromSchema(editor.schema).parse(elementFromString(html));
+    const small = parse('<h1>Title</h1><p>Some <strong>bold</strong> text</p><ul><li><p>item</p></li></ul>');
+    const large = parse(largeContent);
+    const once = { time: 0, iterations: 2, warmupTime: 0, warmupIterations: 0 };
+
+    // autosave on every keystroke: small documents serialized many times
+    bench('small document (cached specs)', () => {
+        serializer.serialize(small);
+    });
+    bench('small document (specs rebuilt)', () => {
+        serializer.specs = null;
+        serializer.serialize(small);
+    });
+    bench('large document (cached specs)', () => {
+        serializer.serialize(large);
+    }, once);
+    bench('large document (specs rebuilt)', () => {
+        serializer.specs = null;
+        serializer.serialize(large);
+    }, once);
+    bench('large document (incremental, unchanged blocks)', () => {
+        serializer.serialize(large, { incremental: true });
+    }, once);
+});
@@ -1,5 +1,6 @@
 import { describe, test, expect, vi } from "vitest";
 import { serialize, dedent } from './utils';
+import { FootnoteReference, FootnoteDefinition, MathInline, MathBlock, TableOfContents, WikiLink } from "../src";
 
 describe('serialize', () => {
     describe('marks', () => {
@@ -9,6 +10,35 @@ describe('serialize', () => {
         test('text escaped', () => {
             expect(serialize('example <><>')).toEqual('example &lt;&gt;&lt;&gt;');
         });
+        test('text escaped at line start', () => {
+            expect(serialize('<p># example</p>')).toEqual('\\# example');
+            expect(serialize('<p>1. example</p>')).toEqual('1\\. example');
+            expect(serialize('<p>1) example</p>')).toEqual('1\\) example');
+            expect(serialize('<p>example1<br>- example2</p>')).toEqual('example1\\\n\\- example2');
+            expect(serialize('<p>example1<br>___</p>')).toEqual('example1\\\n\\_\\_\\_');
+        });
+        test('text escaped at heading end', () => {
+            expect(serialize('<h1>foo #</h1>')).toEqual('# foo \\#');
+            expect(serialize('<h2>foo ##</h2><h2>#</h2>')).toEqual('## foo \\##\n\n## \\#');
+            expect(serialize('<h1>foo#</h1><h1># foo</h1>')).toEqual('# foo#\n\n# # foo');
+            expect(serialize('<h1><em>foo</em> #</h1>')).toEqual('# *foo* \\#');
+        });
+        test('text escaped entities', () => {
+            expect(serialize('example &amp;amp; &amp; example')).toEqual('example \\&amp; & example');
+        });
+        test('text escaped without html', () => {
+            expect(serialize('example &lt;&gt;&lt;a&gt;', { html: false })).toEqual('example \\<>\\<a>');
+        });
+        test('text escaped minimal', () => {
+            const options = { escape: 'minimal' };
+            expect(serialize('example <> a * b 2*3 snake_case', options)).toEqual('example <> a * b 2\\*3 snake_case');
+            expect(serialize('example [x] &lt;div&gt;', options)).toEqual('example \\[x] \\<div>');
+            expect(serialize('<p>[x] example</p>', options)).toEqual('\\[x] example');
+            expect(serialize('<p>&gt; example</p>', options)).toEqual('\\> example');
+            expect(serialize('<p>*example*</p>', options)).toEqual('\\*example\\*');
+            expect(serialize('<p>a \\ b \\*</p>', options)).toEqual('a \\ b \\\\\\*');
+            expect(serialize('<a href="http://example.org">[example]</a>', options)).toEqual('[\\[example\\]](http://example.org)');
+        });
         test('bold', () => {
             expect(serialize('<b>example</b>')).toEqual('**example**');
         });
@@ -24,6 +54,58 @@ describe('serialize', () => {
         test('link', () => {
             expect(serialize('<a href="http://example.org">example</a>')).toEqual('[example](http://example.org)');
         });
+        test('autolink', () => {
+            expect(serialize('<p><a href="http://example.org/a_b" data-link-form="angle">http://example.org/a_b</a> '
+                + '<a href="http://example.org/a_b" data-link-form="bare">http://example.org/a_b</a> '
+                + '<a href="http://www.example.org" data-link-form="bare">www.example.org</a> '
+                + '<a href="http://example.org" data-link-form="explicit">http://example.org</a> '
+                + '<a href="mailto:me@example.org" data-link-form="angle">me@example.org</a></p>'))
+                .toEqual('<http://example.org/a_b> http://example.org/a_b www.example.org [http://example.org](http://example.org) <me@example.org>');
+        });
+        test('autolink edited', () => {
+            expect(serialize('<p><a href="http://example.org" data-link-form="angle">example</a> '
+                + '<a href="http://www.example.org" data-link-form="angle">www.example.org</a> '
+                + '<a href="http://example.org" data-link-form="bare">http://example.org</a>, next</p>'))
+                .toEqual('[example](http://example.org) [www.example.org](http://www.example.org) <http://example.org>, next');
+        });
+        test('autolink style', () => {
+            const html = '<p>link <a href="http://example.org">http://example.org</a> </p>';
+            expect(serialize(html)).toEqual('link <http://example.org> ');
+            expect(serialize(html, { autolinkStyle: 'bare' })).toEqual('link http://example.org ');
+            expect(serialize(html, { autolinkStyle: 'explicit' })).toEqual('link [http://example.org](http://example.org) ');
+        });
+        test('link reference', () => {
+            const html = '<p>'
+                + '<a href="http://example.org" data-reference="Ref" data-reference-form="full">full</a> '
+                + '<a href="http://example.org/collapsed" data-reference="collapsed" data-reference-form="collapsed">collapsed</a> '
+                + '<a href="http://example.org/shortcut" data-reference="Shortcut" data-reference-form="shortcut">shortcut</a> '
+                + '<a href="http://example.org/collapsed" data-reference="collapsed" data-reference-form="collapsed">edited</a> '
+                + '<a href="http://example.org/inline">inline</a>'
+                + '</p>';
+            expect(serialize(html)).toEqual(
+                '[full][Ref] [collapsed][] [shortcut] [edited][collapsed] [inline](http://example.org/inline)\n'
+                + '\n'
+                + '[Ref]: http://example.org\n'
+                + '[collapsed]: http://example.org/collapsed\n'
+                + '[Shortcut]: http://example.org/shortcut'
+            );
+            expect(serialize(html, { linkStyle: 'inline' })).toEqual(
+                '[full](http://example.org) [collapsed](http://example.org/collapsed) [shortcut](http://example.org/shortcut) '
+                + '[edited](http://example.org/collapsed) [inline](http://example.org/inline)'
+            );
+        });
+        test('link reference style', () => {
+            expect(serialize('<p><a href="http://example.org">a</a> <a href="http://example.org">b</a> <a href="http://example.org/c">c</a></p><p><a href="http://example.org" data-reference="1">d</a></p>', { linkStyle: 'reference' }))
+                .toEqual('[a][1] [b][1] [c][2]\n\n[d][1]\n\n[1]: http://example.org\n[2]: http://example.org/c');
+        });
+        test('link reference in footnote', () => {
+            const extensions = [FootnoteReference, FootnoteDefinition];
+            const html = '<p><a href="http://x" data-reference="x" data-reference-form="full">a</a> text<sup data-type="footnoteReference" data-label="1"></sup></p>'
+                + '<div data-type="footnoteDefinition" data-label="1"><p>see <a href="http://y" data-reference="y" data-reference-form="full">b</a></p></div>';
+            expect(serialize(html, { extensions })).toEqual('[a][x] text[^1]\n\n[^1]: see [b][y]\n\n[x]: http://x\n[y]: http://y');
+            expect(serialize('<p><a href="http://x">a</a><sup data-type="footnoteReference" data-label="1"></sup></p><div data-type="footnoteDefinition" data-label="1"><p><a href="http://y">b</a></p></div>', { linkStyle: 'reference', extensions }))
+                .toEqual('[a][1][^1]\n\n[^1]: [b][2]\n\n[1]: http://x\n[2]: http://y');
+        });
         test('underline', () => {
             vi.spyOn(console, 'warn').mockImplementation();
 
@@ -46,6 +128,17 @@ describe('serialize', () => {
                 },
             })).toEqual('<sup>example</sup>');
         });
+        test('html restricted', () => {
+            const htmlMark = {
+                parseHTML: () => [{
+                    tag: 'sup',
+                }],
+                renderHTML: () => ['sup', { onclick: 'alert(1)', title: 'title' }, 0],
+            };
+            expect(serialize('<sup>example</sup>', { html: { allow: ['sub'] }, htmlMark })).toEqual('example');
+            expect(serialize('<sup>example</sup>', { html: { allow: ['sup'], sanitize: true }, htmlMark }))
+                .toEqual('<sup title="title">example</sup>');
+        });
         test('expels whitespaces', () => {
             expect(serialize('My <strong> example </strong>')).toEqual('My  **example** ');
             expect(serialize('My <em> example </em>')).toEqual('My  *example* ');
@@ -67,6 +160,30 @@ describe('serialize', () => {
             expect(serialize('<h5>example</h5>')).toEqual('##### example');
             expect(serialize('<h6>example</h6>')).toEqual('###### example');
         });
+        test('heading style', () => {
+            const html = '<h1>example1</h1><h2 data-heading-style="setext">example <em>2</em></h2><h3>example3</h3>';
+            expect(serialize(html)).toEqual('# example1\n\n## example *2*\n\n### example3');
+            expect(serialize(html, { headingStyle: 'setext' })).toEqual('example1\n========\n\nexample *2*\n-----------\n\n### example3');
+            expect(serialize(html, { headingStyle: 'preserve' })).toEqual('# example1\n\nexample *2*\n-----------\n\n### example3');
+            expect(serialize('<blockquote><h1>a</h1></blockquote>', { headingStyle: 'setext' })).toEqual('> a\n> ===');
+            expect(serialize('<h1>- foo</h1>', { headingStyle: 'setext' })).toEqual('\\- foo\n======');
+            expect(serialize('<h2># foo</h2>', { headingStyle: 'setext' })).toEqual('\\# foo\n------');
+            expect(serialize('<h1>1. bar</h1>', { headingStyle: 'setext' })).toEqual('1\\. bar\n=======');
+            expect(serialize('<h2>&gt; q</h2>', { headingStyle: 'setext' })).toEqual('&gt; q\n------');
+        });
+        test('heading id', () => {
+            expect(serialize('<h2 id="custom-id">example</h2>')).toEqual('## example');
+            expect(serialize('<h2 id="custom-id">example</h2><h2>other</h2>', { headingIds: true })).toEqual('## example {#custom-id}\n\n## other');
+            expect(serialize('<h1 id="a">a</h1>', { headingIds: true, headingStyle: 'setext' })).toEqual('a {#a}\n======');
+            expect(serialize('<h2>a {#b}</h2>', { headingIds: true })).toEqual('## a \\{#b}');
+            expect(serialize('<h2 id="c">a {#b}</h2>', { headingIds: true })).toEqual('## a \\{#b} {#c}');
+            expect(serialize('<h2>a {#b}</h2>')).toEqual('## a {#b}');
+        });
+        test('heading auto id', () => {
+            const html = '<h1 id="hello-world">Hello, World!</h1><h2 id="hello-world-1">Hello</h2><h2>hello world</h2><h2 id="edited">Edited title</h2>';
+            expect(serialize(html, { headingIds: 'auto' }))
+                .toEqual('# Hello, World!\n\n## Hello {#hello-world-1}\n\n## hello world\n\n## Edited title {#edited}');
+        });
         test('bullet list', () => {
             expect(serialize('<ul><li>example1</li><li>example2</li></ul>'))
                 .toEqual('- example1\n- example2');
@@ -80,6 +197,16 @@ describe('serialize', () => {
             expect(serialize('<ol start="10"><li>example1</li><li>example2</li></ol>'))
                 .toEqual('10. example1\n11. example2');
         });
+        test('task list', () => {
+            expect(serialize('<ul data-type="taskList"><li data-type="taskItem" data-checked="false">example1</li><li data-type="taskItem" data-checked="true">example2</li></ul>'))
+                .toEqual('- [ ] example1\n- [x] example2');
+
+            expect(serialize('<ul data-type="taskList"><li data-type="taskItem" data-checked="true">example1</li></ul>', { bulletListMarker: '*' }))
+                .toEqual('* [x] example1');
+
+            expect(serialize('<ul data-type="taskList" data-tight="false"><li data-type="taskItem"><p>example1</p></li><li data-type="taskItem"><p>example2</p></li></ul>'))
+                .toEqual('- [ ] example1\n\n- [ ] example2');
+        });
         test('adjacent ordered list', () => {
             expect(serialize('<ol><li>example1</li></ol><ol><li>example2</li></ol><ol><li>example3</li></ol>'))
                 .toEqual('1. example1\n\n\n1) example2\n\n\n1. example3'); // prosemirror-markdown insert 3 \n, only 2 are needed
@@ -87,9 +214,30 @@ describe('serialize', () => {
         test('fence', () => {
             expect(serialize('<pre><code class="language-js">example</code></pre>')).toEqual('```js\nexample\n```');
         })
+        test('fence with backticks', () => {
+            expect(serialize('<pre><code>```\nexample\n```</code></pre>')).toEqual('````\n```\nexample\n```\n````');
+        });
+        test('fence with meta', () => {
+            expect(serialize('<pre data-meta="title=&quot;a.js&quot;"><code class="language-js">example</code></pre>'))
+                .toEqual('```js title="a.js"\nexample\n```');
+            expect(serialize('<pre data-meta="`a`"><code>example</code></pre>'))
+                .toEqual('~~~`a`\nexample\n~~~');
+        });
         test('code block', () => {
             expect(serialize('<pre><code>example</code></pre>')).toEqual('```\nexample\n```');
         });
+        test('code block indented', () => {
+            expect(serialize('<pre><code>example1\nexample2</code></pre>', { codeBlockStyle: 'indented' }))
+                .toEqual('    example1\n    example2');
+            expect(serialize('<pre><code class="language-js">example</code></pre>', { codeBlockStyle: 'indented' }))
+                .toEqual('```js\nexample\n```');
+        });
+        test('code block indented adjacent', () => {
+            expect(serialize('<pre><code>a</code></pre><pre><code>b</code></pre><pre><code>c</code></pre>', { codeBlockStyle: 'indented' }))
+                .toEqual('    a\n\n```\nb\n```\n\n    c');
+            expect(serialize('<pre><code class="language-js">a</code></pre><pre><code>b</code></pre>', { codeBlockStyle: 'indented' }))
+                .toEqual('```js\na\n```\n\n    b');
+        });
         test('image', () => {
             expect(serialize('<img src="example.jpg" alt="example">')).toEqual('![example](example.jpg)');
         });
@@ -99,9 +247,45 @@ describe('serialize', () => {
         test('hard break', () => {
             expect(serialize('example1<br>example2')).toEqual('example1\\\nexample2');
         });
+        test('hard break style', () => {
+            const html = '<blockquote><p>example1<br>example2</p></blockquote>';
+            expect(serialize(html, { breaks: true })).toEqual('> example1\n> example2');
+            expect(serialize(html, { hardBreakStyle: 'backslash', breaks: true })).toEqual('> example1\\\n> example2');
+            expect(serialize(html, { hardBreakStyle: 'spaces' })).toEqual('> example1  \n> example2');
+            expect(serialize(html, { hardBreakStyle: 'html' })).toEqual('> example1<br>\n> example2');
+            expect(serialize(html, { hardBreakStyle: 'html', html: false })).toEqual('> example1\\\n> example2');
+        });
         test('hard break with mark wrap', () => {
             expect(serialize('example1<strong><br></strong>example2')).toEqual('example1\\\nexample2');
         });
+        test('footnotes', () => {
+            expect(serialize(dedent`
+                <p>a<sup data-type="footnoteReference" data-label="2"></sup> b<sup data-type="footnoteReference" data-label="note"></sup></p>
+                <div data-type="footnoteDefinition" data-label="note"><p>named</p></div>
+                <div data-type="footnoteDefinition" data-label="2"><p>two</p><p>paragraph</p></div>
+                <div data-type="footnoteDefinition" data-label="9"><p>unused</p></div>
+                <p>c<sup data-type="footnoteReference" data-label="2"></sup></p>
+            `, { extensions: [FootnoteReference, FootnoteDefinition] })).toEqual('a[^1] b[^note]\n\nc[^1]\n\n[^1]: two\n\n    paragraph\n\n[^note]: named\n\n[^2]: unused');
+        });
+        test('math', () => {
+            const extensions = [MathInline, MathBlock];
+            expect(serialize('<p>a <span data-type="mathInline" data-latex="x_1 * y_[2]"></span> $5</p>', { extensions }))
+                .toEqual('a $x_1 * y_[2]$ \\$5');
+            expect(serialize('<p><span data-type="mathInline" data-latex="x" data-delimiter="$$"></span></p>', { extensions }))
+                .toEqual('$$x$$');
+            expect(serialize('<div data-type="mathBlock" data-latex="a\n\\\\ b"></div>', { extensions }))
+                .toEqual('$$\na\n\\\\ b\n$$');
+            expect(serialize('<div data-type="mathBlock" data-latex="a" data-delimiter="~~~"></div>', { extensions }))
+                .toEqual('~~~math\na\n~~~');
+        });
+        test('wiki link', () => {
+            expect(serialize('<p><a data-type="wikiLink" data-target="Page"></a> <a data-type="wikiLink" data-target="Page" data-anchor="Heading" data-label="*label*"></a> <a data-type="wikiLink" data-target="" data-anchor="Heading"></a> [[text]]</p>', { extensions: [WikiLink] }))
+                .toEqual('[[Page]] [[Page#Heading|*label*]] [[#Heading]] \\[\\[text\\]\\]');
+        });
+        test('table of contents', () => {
+            expect(serialize('<div data-type="tableOfContents"></div><div data-type="tableOfContents" data-placeholder="<!-- toc -->"></div>', { extensions: [TableOfContents] }))
+                .toEqual('[[toc]]\n\n<!-- toc -->');
+        });
         describe('table', () => {
             test('filled', () => {
                 expect(serialize(dedent`
@@ -168,6 +352,70 @@ describe('serialize', () => {
                     | --- | --- |
                 `);
             });
+            test('aligned', () => {
+                expect(serialize(dedent`
+                    <table>
+                        <tr>
+                            <th>example1</th>
+                            <th style="text-align: left">example2</th>
+                            <th style="text-align: center">example3</th>
+                            <th style="text-align: right">example4</th>
+                        </tr>
+                    </table>
+                `)).toEqual(dedent`
+                    | example1 | example2 | example3 | example4 |
+                    | --- | :--- | :---: | ---: |
+                `);
+            });
+            test('cell with pipe', () => {
+                expect(serialize(dedent`
+                    <table>
+                        <tr>
+                            <th>example1 | example2</th>
+                        </tr>
+                        <tr>
+                            <td><code>a|b</code></td>
+                        </tr>
+                    </table>
+                `)).toEqual(dedent`
+                    | example1 \\| example2 |
+                    | --- |
+                    | \`a\\|b\` |
+                `);
+            });
+            test('padded columns', () => {
+                expect(serialize(dedent`
+                    <table>
+                        <tr>
+                            <th>a</th>
+                            <th style="text-align: center">example2</th>
+                            <th style="text-align: right">b</th>
+                        </tr>
+                        <tr>
+                            <td>example3</td>
+                            <td>c</td>
+                            <td>example4</td>
+                        </tr>
+                    </table>
+                `, { padTableColumns: true })).toEqual(dedent`
+                    | a        | example2 |        b |
+                    | -------- | :------: | -------: |
+                    | example3 |    c     | example4 |
+                `);
+            });
+            test('cell with inline atom', () => {
+                expect(serialize(dedent`
+                    <table>
+                        <tr>
+                            <th><p><span data-type="mathInline" data-latex="x"></span></p></th>
+                            <th><p><a data-type="wikiLink" data-target="P" data-label="l"></a></p></th>
+                        </tr>
+                    </table>
+                `, { extensions: [MathInline, WikiLink] })).toEqual(dedent`
+                    | $x$ | [[P\\|l]] |
+                    | --- | --- |
+                `);
+            });
             test('cell with hard break', () => {
                 expect(serialize(dedent`
                     <table>
@@ -180,6 +428,18 @@ describe('serialize', () => {
                     | --- |
                 `);
             });
+            test('cell with hard break without html', () => {
+                expect(serialize(dedent`
+                    <table>
+                        <tr>
+                            <th><p>example1<br>example2</p></th>
+                        </tr>
+                    </table>
+                `, { html: false, hardBreakStyle: 'html' })).toEqual(dedent`
+                    | example1 example2 |
+                    | --- |
+                `);
+            });
             test('no header', () => {
                 expect(serialize(dedent`
                     <table>
@@ -281,6 +541,23 @@ describe('serialize', () => {
                 },
             })).toEqual('<inline-element>example1</inline-element> <inline-element>example2</inline-element>');
         });
+        test('html restricted', () => {
+            const htmlNode = {
+                group: 'block',
+                content: 'inline*',
+                parseHTML: () => [{
+                    tag: 'block-element',
+                }],
+                renderHTML: () => [
+                    'block-element',
+                    0,
+                ],
+            };
+            expect(serialize('<block-element>a<br>*b*</block-element>', { html: { allow: ['block-element'] }, htmlNode }))
+                .toEqual('<block-element>\na*b*\n</block-element>');
+            expect(serialize('<block-element>a *b*</block-element><p>c</p>', { html: { allow: [] }, htmlNode }))
+                .toEqual('a \\*b\\*\n\nc');
+        });
         test('html disabled', () => {
             vi.spyOn(console, 'warn').mockImplementation();
 
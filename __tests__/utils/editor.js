@@ -7,6 +7,8 @@ import TableCell from "@tiptap/extension-table-cell";
 import Link from '@tiptap/extension-link';
 import Image from '@tiptap/extension-image';
 import Underline from '@tiptap/extension-underline';
+import TaskList from "@tiptap/extension-task-list";
+import TaskItem from "@tiptap/extension-task-item";
 import CodeBlock from "@tiptap/extension-code-block";
 import { Markdown } from "../../src/Markdown";
 
@@ -15,6 +17,7 @@ export function createEditor({
     codeBlock,
     htmlNode,
     htmlMark,
+    extensions = [],
     markdownOptions,
 } = {}) {
     return new Editor({
@@ -31,6 +34,10 @@ export function createEditor({
             TableCell,
             Link,
             Underline,
+            TaskList,
+            TaskItem.configure({
+                nested: true,
+            }),
             CodeBlock.configure({
                 ...codeBlock,
             }),
@@ -45,6 +52,7 @@ export function createEditor({
                 name: 'html-mark',
                 ...htmlMark,
             }),
+            ...extensions,
         ],
     });
 }
@@ -9,6 +9,7 @@ export function parse(content, options = {}, asHTML = false) {
         image,
         codeBlock,
         htmlNode,
+        extensions,
         ...markdownOptions
     } = options;
 
@@ -16,6 +17,7 @@ export function parse(content, options = {}, asHTML = false) {
         image,
         htmlNode,
         codeBlock,
+        extensions,
         markdownOptions,
     });
 
@@ -2,10 +2,11 @@ import { DOMParser } from "prosemirror-model";
 import { createEditor } from "./editor";
 import { elementFromString } from "../../src/util/dom";
 
-export function serialize(content, { htmlNode, htmlMark, ...markdownOptions } = {}) {
+export function serialize(content, { htmlNode, htmlMark, extensions, ...markdownOptions } = {}) {
     const editor = createEditor({
         htmlNode,
         htmlMark,
+        extensions,
         markdownOptions,
     });
     const doc = DOMParser.fromSchema(editor.schema)
@@ -1,7 +1,9 @@
 
-document.createRange = () => {
-    return Object.assign(new Range(), {
-        getClientRects: () => [],
-        getBoundingClientRect: () => ({}),
-    });
-};
+if(typeof document !== 'undefined') {
+    document.createRange = () => {
+        return Object.assign(new Range(), {
+            getClientRects: () => [],
+            getBoundingClientRect: () => ({}),
+        });
+    };
+}
@@ -1,5 +1,4 @@
 import { Node } from '@tiptap/core';
-import markdownitContainer from "markdown-it-container";
 
 export default Node.create({
     name: 'container',
@@ -27,9 +26,28 @@ export default Node.create({
                     state.closeBlock(node);
                 },
                 parse: {
-                    setup(markdownit) {
-                        this.options.classes.forEach(className => {
-                            markdownit.use(markdownitContainer, className);
+                    setup(marked) {
+                        const classes = this.options.classes;
+                        marked.use({
+                            extensions: [{
+                                name: 'container',
+                                level: 'block',
+                                start: src => src.match(/^:::/m)?.index,
+                                tokenizer(src) {
+                                    const match = /^::: *(\S+) *\n([\s\S]*?)\n:::(?:\n|$)/.exec(src);
+                                    if(match && classes.includes(match[1])) {
+                                        return {
+                                            type: 'container',
+                                            raw: match[0],
+                                            containerClass: match[1],
+                                            tokens: this.lexer.blockTokens(match[2]),
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<div class="${token.containerClass}">\n${this.parser.parse(token.tokens)}</div>\n`;
+                                },
+                            }],
                         });
                     },
                 }
@@ -1,5 +1,4 @@
 import { Highlight } from "@tiptap/extension-highlight";
-import markdownitMark from 'markdown-it-mark';
 
 
 export default Highlight.extend({
@@ -11,11 +10,30 @@ export default Highlight.extend({
                     close: '==',
                 },
                 parse: {
-                    setup(markdownit) {
-                        markdownit.use(markdownitMark);
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'highlight',
+                                level: 'inline',
+                                start: src => src.indexOf('=='),
+                                tokenizer(src) {
+                                    const match = /^==(?=\S)([\s\S]*?\S)==/.exec(src);
+                                    if(match) {
+                                        return {
+                                            type: 'highlight',
+                                            raw: match[0],
+                                            tokens: this.lexer.inlineTokens(match[1]),
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<mark>${this.parser.parseInline(token.tokens)}</mark>`;
+                                },
+                            }],
+                        });
                     },
                     updateDOM() {
-                        // here you can update HTML generated by markdown-it
+                        // here you can update HTML generated by marked
                     }
                 }
             }
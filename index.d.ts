@@ -1,24 +1,95 @@
 
 
-import { Editor, Extension } from "@tiptap/core";
+import { AnyExtension, Editor, Extension, JSONContent, Node } from "@tiptap/core";
 import { MarkdownSerializer, MarkdownSerializerState } from "prosemirror-markdown";
 import * as Prosemirror from "prosemirror-model";
-import * as MarkdownIt from "markdown-it";
+import { Marked } from "marked";
 
 export interface MarkdownOptions  {
-    html?: Boolean,
+    html?: Boolean | { allow?: string[], sanitize?: Boolean },
     tightLists?: Boolean,
     tightListClass?: String,
     bulletListMarker?: String,
-    linkify?: Boolean,
+    padTableColumns?: Boolean,
+    codeBlockStyle?: 'fenced' | 'indented',
+    escape?: 'aggressive' | 'minimal',
+    frontMatter?: Boolean,
+    parseFrontMatter?: ((content: string, format: FrontMatterFormat) => any) | null,
+    linkify?: Boolean | { protocols?: string[], validate?: (href: string) => boolean },
     breaks?: Boolean,
+    hardBreakStyle?: 'backslash' | 'spaces' | 'newline' | 'html' | null,
+    domParser?: DOMParser | null,
+    incremental?: Boolean,
+    markdownUpdateDebounce?: number,
+    markdownUpdateDiff?: Boolean,
+    linkStyle?: 'preserve' | 'inline' | 'reference',
+    autolinkStyle?: 'angle' | 'bare' | 'explicit',
+    imageAttributeStyle?: 'html' | 'attributes',
+    headingIds?: Boolean | 'auto',
+    headingStyle?: 'atx' | 'setext' | 'preserve',
     transformPastedText?: Boolean,
     transformCopiedText?: Boolean,
 }
 
+export type FrontMatterFormat = 'yaml' | 'toml';
+
+export interface FrontMatter {
+    raw: string,
+    format: FrontMatterFormat,
+    content: string,
+    data: any,
+}
+
+export interface MarkdownSourceMapSpan {
+    type: string,
+    from: number,
+    to: number,
+    start: number,
+    end: number,
+    offsets?: number[],
+}
+
+export interface MarkdownSourceMap {
+    spans: MarkdownSourceMapSpan[],
+    toMarkdownOffset(pos: number): number,
+    toDocPos(offset: number): number,
+    shift(offset: number): MarkdownSourceMap,
+}
+
 export interface MarkdownStorage {
     options: MarkdownOptions,
+    frontMatter: FrontMatter | null,
     getMarkdown(): string,
+    getMarkdownWithMap(): { markdown: string, map: MarkdownSourceMap },
+    getFrontMatter(): FrontMatter | null,
+    getOutline(): OutlineItem[],
+}
+
+export interface OutlineItem {
+    level: number,
+    text: string,
+    id: string,
+    pos: number,
+    children: OutlineItem[],
+}
+
+export interface MarkdownUpdateEvent {
+    editor: Editor,
+    markdown: string,
+    previous: string | null,
+    diff: { from: number, to: number, text: string } | null,
+}
+
+declare module '@tiptap/core' {
+    interface EditorEvents {
+        markdownUpdate: MarkdownUpdateEvent,
+    }
+    interface Commands<ReturnType> {
+        markdown: {
+            setFrontMatter: (content: string | null, format?: FrontMatterFormat) => ReturnType,
+            syncMarkdown: (markdown: string) => ReturnType,
+        }
+    }
 }
 
 type SpecContext<Options> = {
@@ -29,7 +100,7 @@ type SpecContext<Options> = {
 export type MarkdownNodeSpec<O = any> = {
     serialize(this: SpecContext<O>, state: MarkdownSerializerState, node: Prosemirror.Node, parent: Prosemirror.Node, index: number): void,
     parse?: {
-        setup?(this: SpecContext<O>, markdownit: MarkdownIt): void,
+        setup?(this: SpecContext<O>, marked: Marked): void,
         updateDOM?(this: SpecContext<O>, element: HTMLElement): void
     },
 }
@@ -40,9 +111,30 @@ export type MarkdownMarkSpec<O = any> = {
         close: string | ((this: SpecContext<O>, state: MarkdownSerializerState, mark: Prosemirror.Mark, parent: Prosemirror.Node, index: number) => string);
     },
     parse?: {
-        setup?(this: SpecContext<O>, markdownit: MarkdownIt): void,
+        setup?(this: SpecContext<O>, marked: Marked): void,
         updateDOM?(this: SpecContext<O>, element: HTMLElement): void
     },
 }
 
 export declare const Markdown: Extension<MarkdownOptions, MarkdownStorage>;
+
+export interface HeadlessOptions {
+    extensions: AnyExtension[],
+    schema?: Prosemirror.Schema,
+    domParser?: DOMParser,
+}
+
+export declare function parseMarkdown(markdown: string, options: HeadlessOptions): JSONContent;
+export declare function serializeMarkdown(json: JSONContent, options: HeadlessOptions): string;
+export declare const FootnoteReference: Node;
+export declare const FootnoteDefinition: Node;
+export declare const MathInline: Node;
+export declare const MathBlock: Node;
+export declare const TableOfContents: Node;
+
+export interface WikiLinkOptions {
+    resolveWikiLink: ((link: { target: string, anchor: string | null, label: string | null }) => string | null) | null,
+}
+
+export declare const WikiLink: Node<WikiLinkOptions>;
+export declare function getOutline(doc: Prosemirror.Node): OutlineItem[];
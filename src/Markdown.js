@@ -1,37 +1,15 @@
-import { Extension, extensions } from '@tiptap/core';
+import { Extension, extensions, createDocument } from '@tiptap/core';
 import { MarkdownTightLists } from "./extensions/tiptap/tight-lists";
 import { MarkdownSerializer } from "./serialize/MarkdownSerializer";
 import { MarkdownParser } from "./parse/MarkdownParser";
 import { MarkdownClipboard } from "./extensions/tiptap/clipboard";
-import { cleanupMarkedParser } from "./util/markdown";
-
-// Use WeakRef to track extensions without preventing garbage collection
-const activeExtensions = new Set();
-
-// Global cleanup mechanism
-let globalCleanupTimer = null;
-function scheduleGlobalCleanup() {
-    if (globalCleanupTimer) {
-        clearTimeout(globalCleanupTimer);
-    }
-    
-    globalCleanupTimer = setTimeout(() => {
-        // Run a garbage collection cycle on inactive extensions
-        activeExtensions.forEach(weakRef => {
-            const extension = weakRef.deref();
-            if (!extension || !extension.editor) {
-                activeExtensions.delete(weakRef);
-            }
-        });
-        
-        // If no extensions remain, clean up global resources
-        if (activeExtensions.size === 0) {
-            cleanupMarkedParser();
-        }
-        
-        globalCleanupTimer = null;
-    }, 30000); // 30 second delay
-}
+import { MarkdownTableAlign } from "./extensions/tiptap/table-align";
+import { MarkdownCodeBlockMeta } from "./extensions/tiptap/code-block-meta";
+import { MarkdownUpdate } from "./extensions/tiptap/markdown-update";
+import { MarkdownLinkSyntax } from "./extensions/tiptap/link-syntax";
+import { MarkdownHeadingSyntax } from "./extensions/tiptap/heading-syntax";
+import { extractFrontMatter } from "./util/markdown";
+import { getOutline } from "./util/outline";
 
 export const Markdown = Extension.create({
     name: 'markdown',
@@ -42,8 +20,23 @@ export const Markdown = Extension.create({
             tightLists: true,
             tightListClass: 'tight',
             bulletListMarker: '-',
+            padTableColumns: false,
+            codeBlockStyle: 'fenced',
+            escape: 'aggressive',
+            frontMatter: false,
+            parseFrontMatter: null,
             linkify: false,
             breaks: false,
+            hardBreakStyle: null,
+            domParser: null,
+            incremental: false,
+            markdownUpdateDebounce: 0,
+            markdownUpdateDiff: false,
+            linkStyle: 'preserve',
+            autolinkStyle: 'angle',
+            imageAttributeStyle: 'html',
+            headingIds: false,
+            headingStyle: 'atx',
             transformPastedText: false,
             transformCopiedText: false,
         }
@@ -55,7 +48,8 @@ export const Markdown = Extension.create({
                 if (!props.editor?.storage?.markdown?.parser) return false;
                 
                 try {
-                    const html = props.editor.storage.markdown.parser.parse(content);
+                    const markdown = takeFrontMatter(props.editor, content);
+                    const html = props.editor.storage.markdown.parser.parse(markdown);
                     return commands.setContent(html, emitUpdate, parseOptions)(props);
                 } catch (e) {
                     console.error('Error setting content:', e);
@@ -73,22 +67,58 @@ export const Markdown = Extension.create({
                     return false;
                 }
             },
+            syncMarkdown: (markdown) => ({ editor, tr, dispatch }) => {
+                if (!editor?.storage?.markdown?.parser) return false;
+
+                // a dry run (editor.can()) leaves the stored front matter as is
+                const html = editor.storage.markdown.parser.parse(takeFrontMatter(editor, markdown, { store: !!dispatch }));
+                const doc = createDocument(html, editor.schema, editor.options.parseOptions);
+
+                // replace only the changed range so selection, history and node views are kept elsewhere
+                const start = tr.doc.content.findDiffStart(doc.content);
+                if (start === null) {
+                    return true;
+                }
+                let { a: endA, b: endB } = tr.doc.content.findDiffEnd(doc.content);
+                const overlap = start - Math.min(endA, endB);
+                if (overlap > 0) {
+                    endA += overlap;
+                    endB += overlap;
+                }
+                if (dispatch) {
+                    tr.replace(start, endA, doc.slice(start, endB));
+                }
+                return true;
+            },
+            setFrontMatter: (content, format = 'yaml') => ({ editor, dispatch }) => {
+                if (!editor?.storage?.markdown) return false;
+                
+                if (dispatch) {
+                    if (content === null || content === undefined) {
+                        editor.storage.markdown.frontMatter = null;
+                    } else {
+                        const fence = format === 'toml' ? '+++' : '---';
+                        editor.storage.markdown.frontMatter = createFrontMatter(editor, {
+                            raw: `${fence}\n${content}\n${fence}\n\n`,
+                            format,
+                            content,
+                        });
+                    }
+                }
+                return true;
+            },
         }
     },
     onBeforeCreate() {
-        // Track this extension using WeakRef
-        const weakRef = new WeakRef(this);
-        activeExtensions.add(weakRef);
-        
-        // Schedule cleanup periodically
-        scheduleGlobalCleanup();
-        
         // Set up storage with the parser and serializer
         this.editor.storage.markdown = {
             options: { ...this.options },
             parser: new MarkdownParser(this.editor, this.options),
             serializer: new MarkdownSerializer(this.editor),
+            frontMatter: null,
             getMarkdown: null, // Will be initialized below
+            getMarkdownWithMap: null,
+            getFrontMatter: () => this.editor?.storage?.markdown?.frontMatter ?? null,
         };
         
         // Define getMarkdown as a function that doesn't capture this
@@ -99,18 +129,34 @@ export const Markdown = Extension.create({
             }
             
             try {
-                return editor.storage.markdown.serializer.serialize(editor.state.doc);
+                const frontMatter = editor.storage.markdown.frontMatter?.raw ?? '';
+                return frontMatter + editor.storage.markdown.serializer.serialize(editor.state.doc, {
+                    incremental: editor.storage.markdown.options.incremental,
+                });
             } catch (e) {
                 console.error('Error serializing markdown:', e);
                 return '';
             }
         };
         
+        this.editor.storage.markdown.getMarkdownWithMap = () => {
+            const editor = this.editor;
+            const frontMatter = editor.storage.markdown.frontMatter?.raw ?? '';
+            const { markdown, map } = editor.storage.markdown.serializer.serialize(editor.state.doc, { sourceMap: true });
+            return {
+                markdown: frontMatter + markdown,
+                map: map.shift(frontMatter.length),
+            };
+        };
+
+        this.editor.storage.markdown.getOutline = () => getOutline(this.editor.state.doc);
+
         // Save initial content and parse it
         this.editor.options.initialContent = this.editor.options.content;
         
         try {
-            const parsedContent = this.editor.storage.markdown.parser.parse(this.editor.options.content);
+            const markdown = takeFrontMatter(this.editor, this.editor.options.content);
+            const parsedContent = this.editor.storage.markdown.parser.parse(markdown);
             this.editor.options.content = parsedContent;
         } catch (e) {
             console.error('Error parsing initial content:', e);
@@ -141,12 +187,13 @@ export const Markdown = Extension.create({
                 
                 this.editor.storage.markdown.parser = null;
                 this.editor.storage.markdown.getMarkdown = null;
+                this.editor.storage.markdown.getMarkdownWithMap = null;
+                this.editor.storage.markdown.getFrontMatter = null;
+                this.editor.storage.markdown.getOutline = null;
+                this.editor.storage.markdown.frontMatter = null;
                 this.editor.storage.markdown.options = null;
                 this.editor.storage.markdown = null;
             }
-            
-            // Schedule a cleanup to check if all extensions are gone
-            scheduleGlobalCleanup();
         } catch (e) {
             console.error('Error during Markdown extension cleanup:', e);
         }
@@ -162,10 +209,42 @@ export const Markdown = Extension.create({
                 tight: this.options.tightLists,
                 tightClass: this.options.tightListClass,
             }),
+            MarkdownTableAlign,
+            MarkdownCodeBlockMeta,
+            MarkdownLinkSyntax,
+            MarkdownHeadingSyntax.configure({
+                ids: !!this.options.headingIds,
+            }),
             MarkdownClipboard.configure({
                 transformPastedText: this.options.transformPastedText,
                 transformCopiedText: this.options.transformCopiedText,
             }),
+            MarkdownUpdate.configure({
+                debounce: this.options.markdownUpdateDebounce,
+                diff: this.options.markdownUpdateDiff,
+            }),
         ]
     },
 });
+
+/**
+ * Store the front matter found at the start of the markdown content and return the remaining markdown
+ */
+function takeFrontMatter(editor, content, { store = true } = {}) {
+    if (!editor.storage.markdown.options.frontMatter || typeof content !== 'string') {
+        return content;
+    }
+    const { frontMatter, content: markdown } = extractFrontMatter(content);
+    if (store) {
+        editor.storage.markdown.frontMatter = frontMatter && createFrontMatter(editor, frontMatter);
+    }
+    return markdown;
+}
+
+function createFrontMatter(editor, frontMatter) {
+    const { parseFrontMatter } = editor.storage.markdown.options;
+    return {
+        ...frontMatter,
+        data: parseFrontMatter ? parseFrontMatter(frontMatter.content, frontMatter.format) : null,
+    };
+}
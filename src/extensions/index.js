@@ -1,15 +1,21 @@
 import Blockquote from "./nodes/blockquote";
 import BulletList from "./nodes/bullet-list";
 import CodeBlock from "./nodes/code-block";
+import FootnoteDefinition from "./nodes/footnote-definition";
+import FootnoteReference from "./nodes/footnote-reference";
 import HardBreak from "./nodes/hard-break";
 import Heading from "./nodes/heading";
 import HorizontalRule from "./nodes/horizontal-rule";
 import HTMLNode from "./nodes/html";
 import Image from "./nodes/image";
 import ListItem from "./nodes/list-item";
+import MathBlock from "./nodes/math-block";
+import MathInline from "./nodes/math-inline";
 import OrderedList from "./nodes/ordered-list";
 import Paragraph from "./nodes/paragraph";
 import Table from "./nodes/table";
+import TaskItem from "./nodes/task-item";
+import TaskList from "./nodes/task-list";
 import Text from "./nodes/text";
 
 import Bold from "./marks/bold";
@@ -24,15 +30,21 @@ export default [
     Blockquote,
     BulletList,
     CodeBlock,
+    FootnoteDefinition,
+    FootnoteReference,
     HardBreak,
     Heading,
     HorizontalRule,
     HTMLNode,
     Image,
     ListItem,
+    MathBlock,
+    MathInline,
     OrderedList,
     Paragraph,
     Table,
+    TaskItem,
+    TaskList,
     Text,
 
     Bold,
@@ -1,5 +1,6 @@
 import { Fragment } from "@tiptap/pm/model";
-import { getHTMLFromFragment, Mark } from "@tiptap/core";
+import { Mark } from "@tiptap/core";
+import { elementFromString, getHTMLFromFragment, getHTMLOptions, filterElement } from "../../util/dom";
 
 
 export default Mark.create({
@@ -16,13 +17,13 @@ export default Mark.create({
                             console.warn(`Tiptap Markdown: "${mark.type.name}" mark is only available in html mode`);
                             return '';
                         }
-                        return getMarkTags(mark)?.[0] ?? '';
+                        return getMarkTags(mark, this.editor.storage.markdown.options)?.[0] ?? '';
                     },
                     close(state, mark) {
                         if(!this.editor.storage.markdown.options.html) {
                             return '';
                         }
-                        return getMarkTags(mark)?.[1] ?? '';
+                        return getMarkTags(mark, this.editor.storage.markdown.options)?.[1] ?? '';
                     },
                 },
                 parse: {
@@ -33,10 +34,16 @@ export default Mark.create({
     }
 });
 
-function getMarkTags(mark) {
+/**
+ * Tags that are not allowed are left out, the marked text is kept
+ */
+function getMarkTags(mark, { html, domParser }) {
     const schema = mark.type.schema;
     const node = schema.text(' ', [mark]);
-    const html = getHTMLFromFragment(Fragment.from(node), schema);
-    const match = html.match(/^(<.*?>) (<\/.*?>)$/);
+    const dom = filterElement(
+        elementFromString(getHTMLFromFragment(Fragment.from(node), schema, domParser), domParser),
+        getHTMLOptions(html)
+    );
+    const match = dom.innerHTML.match(/^(<.*?>) (<\/.*?>)$/);
     return match ? [match[1], match[2]] : null;
 }
@@ -1,5 +1,5 @@
 import { Mark } from "@tiptap/core";
-import { defaultMarkdownSerializer } from "prosemirror-markdown";
+import { escapeAttribute } from "../../util/dom";
 
 
 const Link = Mark.create({
@@ -13,11 +13,187 @@ export default Link.extend({
     addStorage() {
         return {
             markdown: {
-                serialize: defaultMarkdownSerializer.marks.link,
+                serialize: {
+                    open(state, mark, parent, index) {
+                        state.linkForm = getLinkForm(mark, parent, index, this.editor.storage.markdown.options.autolinkStyle);
+                        // autolink content is not escaped
+                        state.inAutolink = state.linkForm !== 'explicit';
+                        state.linkTextStart = state.out.length;
+                        return { angle: '<', bare: '' }[state.linkForm] ?? '[';
+                    },
+                    close(state, mark, parent) {
+                        const { linkForm } = state;
+                        state.inAutolink = undefined;
+                        state.linkForm = undefined;
+                        if(linkForm === 'angle') {
+                            return '>';
+                        }
+                        if(linkForm === 'bare') {
+                            return '';
+                        }
+                        const { linkStyle } = this.editor.storage.markdown.options;
+                        const { href, title, reference, referenceForm } = mark.attrs;
+                        if(linkStyle === 'reference' || linkStyle === 'preserve' && reference != null) {
+                            // the output may have been flushed before the opening bracket
+                            const text = state.out.slice(state.linkTextStart).replace(/^[^[]*\[/, '');
+                            const label = getLinkDefinitions(state, parent).add(reference, href, title);
+                            if(referenceForm !== 'full' && normalizeLabel(label) === normalizeLabel(text)) {
+                                return referenceForm === 'shortcut' ? ']' : '][]';
+                            }
+                            return `][${label}]`;
+                        }
+                        return `](${href.replace(/[()"]/g, '\\$&')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+                    },
+                    mixable: true,
+                },
                 parse: {
-                    // handled by markdown-it
+                    setup(marked) {
+                        marked.use({
+                            renderer: {
+                                link(token) {
+                                    const html = marked.Renderer.prototype.link.call(this, token);
+                                    if(!html.startsWith('<a ')) {
+                                        return html;
+                                    }
+                                    const reference = parseReference(token.raw);
+                                    const attributes = reference
+                                        ? `data-reference="${escapeAttribute(reference.label)}" data-reference-form="${reference.form}"`
+                                        : '';
+                                    return html.replace('<a ', `<a data-link-form="${parseLinkForm(token.raw)}" ${attributes}`.trimEnd() + ' ');
+                                },
+                            },
+                        });
+                    },
                 }
             }
         }
     }
 })
+
+/**
+ * @returns {'angle'|'bare'|'explicit'} How the link was written in markdown
+ */
+function parseLinkForm(raw) {
+    if(raw.startsWith('<')) {
+        return 'angle';
+    }
+    return raw.startsWith('[') ? 'explicit' : 'bare';
+}
+
+/**
+ * Autolinks keep their form when their text is still the url, new ones follow `autolinkStyle`
+ * @returns {'angle'|'bare'|'explicit'}
+ */
+function getLinkForm(link, parent, index, autolinkStyle = 'angle') {
+    const form = link.attrs.linkForm ?? autolinkStyle;
+    if(form === 'explicit' || !isPlainURL(link, parent, index)) {
+        return 'explicit';
+    }
+    if(form === 'bare' && canBeBare(parent, index)) {
+        return 'bare';
+    }
+    return canBeAngle(link, parent.child(index).text) ? 'angle' : 'explicit';
+}
+
+/**
+ * Whether the link content is its url, as written by an autolink (`<url>`, `<email>`, `www.` urls)
+ */
+function isPlainURL(link, parent, index) {
+    const { href, title } = link.attrs;
+    const content = parent.child(index);
+    if(title || !content.isText || content.marks[content.marks.length - 1] !== link) {
+        return false;
+    }
+    if(content.text !== href && `mailto:${content.text}` !== href && `http://${content.text}` !== href) {
+        return false;
+    }
+    return index === parent.childCount - 1 || !link.isInSet(parent.child(index + 1).marks);
+}
+
+/**
+ * `<...>` holds an absolute uri or an email address
+ */
+function canBeAngle(link, text) {
+    return text === link.attrs.href && /^[a-z][a-z0-9+.-]{1,31}:[^\s<>]*$/i.test(text)
+        || `mailto:${text}` === link.attrs.href && /^[^\s<>@]+@[^\s<>@]+$/.test(text);
+}
+
+/**
+ * GFM only recognizes bare urls starting with a scheme or www. (or email addresses), delimited by whitespace
+ */
+function canBeBare(parent, index) {
+    const text = parent.child(index).text;
+    const previous = index > 0 ? parent.child(index - 1) : null;
+    const next = index < parent.childCount - 1 ? parent.child(index + 1) : null;
+    return /^(https?:\/\/|www\.)\S+$|^[^\s@]+@[^\s@]+\.\w+$/.test(text)
+        && (!previous || previous.isText && /\s$/.test(previous.text))
+        && (!next || next.isText && /^\s/.test(next.text));
+}
+
+/**
+ * @param {string} raw - e.g. `[text][label]`, `[label][]` or `[label]`
+ * @returns {{ label: string, form: 'full'|'collapsed'|'shortcut' }|null}
+ */
+function parseReference(raw) {
+    if(!raw.startsWith('[') || raw.endsWith(')')) {
+        return null;
+    }
+    const full = /\]\[((?:\\.|[^\\\]])*)\]$/.exec(raw);
+    if(full?.[1]) {
+        return { label: full[1], form: 'full' };
+    }
+    if(full) {
+        return { label: raw.slice(1, -3), form: 'collapsed' };
+    }
+    return { label: raw.slice(1, -1), form: 'shortcut' };
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Link reference definitions of the document being serialized, written at the end of the document.
+ * @param {import('../../serialize/state').MarkdownSerializerState} state
+ * @param {import('prosemirror-model').Node} parent
+ */
+function getLinkDefinitions(state, parent) {
+    if(!state.linkDefinitions) {
+        const definitions = new Map();
+        let count = 0;
+
+        const add = (label, href, title) => {
+            const existing = [...definitions.entries()]
+                .find(([key, definition]) => (label == null || key === normalizeLabel(label)) && definition.href === href && definition.title === title);
+            if(existing) {
+                return existing[1].label;
+            }
+            // labels are free to use unless another definition took them
+            while(label == null || definitions.has(normalizeLabel(label))) {
+                label = String(++count);
+            }
+            definitions.set(normalizeLabel(label), { label, href, title });
+            return label;
+        };
+
+        state.linkDefinitions = { add, definitions, block: parent };
+        const write = () => {
+            // other deferred content (e.g. footnote definitions) may still add links
+            if(state.deferred.length) {
+                state.defer(write);
+                return;
+            }
+            state.write([...definitions.values()]
+                .map(({ label, href, title }) => `[${label}]: ${formatDestination(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''}`)
+                .join('\n'));
+            state.closeBlock(state.linkDefinitions.block);
+        };
+        state.defer(write);
+    }
+    state.linkDefinitions.block = parent;
+    return state.linkDefinitions;
+}
+
+function formatDestination(href) {
+    return !href || /[\s<>]/.test(href) ? `<${href.replace(/[<>]/g, '\\$&')}>` : href;
+}
@@ -1,4 +1,5 @@
 import { Node } from "@tiptap/core";
+import { escapeAttribute } from "../../util/dom";
 
 
 const CodeBlock = Node.create({
@@ -12,22 +13,37 @@ export default CodeBlock.extend({
     addStorage() {
         return {
             markdown: {
-                serialize(state, node) {
-                    state.write("```" + (node.attrs.language || "") + "\n");
+                serialize(state, node, parent, index) {
+                    const info = getInfo(node);
+                    if(this.editor.storage.markdown.options.codeBlockStyle === 'indented' && canIndent(node, parent, index)) {
+                        state.wrapBlock('    ', null, node, () => state.text(node.textContent, false));
+                        return;
+                    }
+                    const fence = info.includes('`')
+                        ? fenceOf('~', node.textContent)
+                        : fenceOf('`', node.textContent);
+                    state.write(fence + info + "\n");
                     state.text(node.textContent, false);
                     state.ensureNewLine();
-                    state.write("```");
+                    state.write(fence);
                     state.closeBlock(node);
                 },
                 parse: {
                     setup(marked) {
-                        // Set the language class prefix if needed
-                        // This maintains the same behavior as in markdown-it
-                        // Marked uses 'language-' prefix by default like markdown-it
                         const langPrefix = this.options.languageClassPrefix ?? 'language-';
-                        if (langPrefix !== 'language-') {
-                            marked.setOptions({ langPrefix });
-                        }
+                        marked.use({
+                            renderer: {
+                                code(token) {
+                                    // marked only keeps the first word of the info string as language
+                                    const meta = token.lang?.match(/^\S+\s+(.+)$/)?.[1];
+                                    const html = marked.Renderer.prototype.code.call(this, token)
+                                        .replace('<code class="language-', `<code class="${langPrefix}`);
+                                    return meta
+                                        ? html.replace('<pre>', `<pre data-meta="${escapeAttribute(meta)}">`)
+                                        : html;
+                                },
+                            },
+                        });
                     },
                     updateDOM(element) {
                         element.innerHTML = element.innerHTML.replace(/\n<\/code><\/pre>/g, '</code></pre>')
@@ -37,3 +53,30 @@ export default CodeBlock.extend({
         }
     }
 });
+
+/**
+ * the fence must be longer than any run of the same character inside the code
+ */
+function fenceOf(char, content) {
+    const runs = content.match(char === '`' ? /`+/g : /~+/g) ?? [];
+    const longest = Math.max(0, ...runs.map(run => run.length));
+    return char.repeat(Math.max(3, longest + 1));
+}
+
+function getInfo(node) {
+    return [node.attrs.language, node.attrs.meta].filter(Boolean).join(' ');
+}
+
+/**
+ * indented code blocks cannot hold an info string, leading/trailing blank lines,
+ * would be read as list continuation right after a list,
+ * and as the same code block right after another indented one
+ */
+function canIndent(node, parent, index) {
+    const previous = index > 0 ? parent.child(index - 1) : null;
+    return !getInfo(node)
+        && node.textContent.trim()
+        && !/^\s*\n|\n\s*$/.test(node.textContent)
+        && !previous?.type.spec.group?.split(' ').includes('list')
+        && !(previous?.type === node.type && canIndent(previous, parent, index - 1));
+}
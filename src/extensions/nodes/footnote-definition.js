@@ -0,0 +1,111 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import { escapeAttribute } from "../../util/dom";
+
+
+export default Node.create({
+    name: 'footnoteDefinition',
+
+    group: 'block',
+
+    content: 'block+',
+
+    defining: true,
+
+    addAttributes() {
+        return {
+            label: {
+                default: null,
+                parseHTML: element => element.getAttribute('data-label'),
+                renderHTML: attributes => ({
+                    'data-label': attributes.label,
+                }),
+            },
+        }
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: `div[data-type="${this.name}"]`,
+            },
+        ]
+    },
+
+    renderHTML({ HTMLAttributes }) {
+        return ['div', mergeAttributes({ 'data-type': this.name }, HTMLAttributes), 0]
+    },
+
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    // definitions are written at the end of the document
+                    getFootnotes(state).definitions.set(node.attrs.label, node);
+                },
+                parse: {
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'footnoteDefinition',
+                                level: 'block',
+                                start: src => src.match(/^\[\^[^\]\s]+\]:/m)?.index,
+                                tokenizer(src) {
+                                    const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]*\n)*(?: {4}|\t)[^\n]*)*)(?:\n|$)/.exec(src);
+                                    if(match) {
+                                        return {
+                                            type: 'footnoteDefinition',
+                                            raw: match[0],
+                                            label: match[1],
+                                            tokens: this.lexer.blockTokens(match[2].replace(/^(?: {4}|\t)/gm, '')),
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<div data-type="footnoteDefinition" data-label="${escapeAttribute(token.label)}">${this.parser.parse(token.tokens)}</div>\n`;
+                                },
+                            }],
+                        });
+                    },
+                },
+            },
+        }
+    },
+});
+
+/**
+ * Footnotes of the document being serialized: numeric labels are renumbered in order
+ * of first reference, definitions are rendered at the end of the document in the same order.
+ * @param {import('../../serialize/state').MarkdownSerializerState} state
+ */
+export function getFootnotes(state) {
+    if(!state.footnotes) {
+        const labels = new Map();
+        const definitions = new Map();
+        let count = 0;
+
+        const label = original => {
+            if(!labels.has(original)) {
+                labels.set(original, /^\d+$/.test(original) ? String(++count) : original);
+            }
+            return labels.get(original);
+        };
+
+        state.footnotes = { label, definitions };
+        state.defer(() => {
+            const rendered = new Set();
+            const next = () => [...labels.keys(), ...definitions.keys()]
+                .find(original => definitions.has(original) && !rendered.has(original));
+            let original;
+            // definitions may themselves reference footnotes, so look for the next one after each render
+            while((original = next()) !== undefined) {
+                const node = definitions.get(original);
+                rendered.add(original);
+                state.wrapBlock('    ', `[^${label(original)}]: `, node, () => state.renderContent(node));
+            }
+        });
+    }
+    return state.footnotes;
+}
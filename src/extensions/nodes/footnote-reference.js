@@ -0,0 +1,79 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import { escapeAttribute } from "../../util/dom";
+import { getFootnotes } from "./footnote-definition";
+
+
+export default Node.create({
+    name: 'footnoteReference',
+
+    group: 'inline',
+
+    inline: true,
+
+    atom: true,
+
+    addAttributes() {
+        return {
+            label: {
+                default: null,
+                parseHTML: element => element.getAttribute('data-label'),
+                renderHTML: attributes => ({
+                    'data-label': attributes.label,
+                }),
+            },
+        }
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: `sup[data-type="${this.name}"]`,
+            },
+        ]
+    },
+
+    renderHTML({ node, HTMLAttributes }) {
+        return ['sup', mergeAttributes({ 'data-type': this.name }, HTMLAttributes), node.attrs.label ?? '']
+    },
+
+    renderText({ node }) {
+        return `[^${node.attrs.label}]`;
+    },
+
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    state.write(`[^${getFootnotes(state).label(node.attrs.label)}]`);
+                },
+                parse: {
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'footnoteReference',
+                                level: 'inline',
+                                start: src => src.indexOf('[^'),
+                                tokenizer(src) {
+                                    const match = /^\[\^([^\]\s]+)\]/.exec(src);
+                                    if(match) {
+                                        return {
+                                            type: 'footnoteReference',
+                                            raw: match[0],
+                                            label: match[1],
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<sup data-type="footnoteReference" data-label="${escapeAttribute(token.label)}"></sup>`;
+                                },
+                            }],
+                        });
+                    },
+                },
+            },
+        }
+    },
+});
@@ -1,5 +1,5 @@
 import { Node } from "@tiptap/core";
-import HTMLNode from './html';
+import { getHTMLOptions, isTagAllowed } from "../../util/dom";
 
 const HardBreak = Node.create({
     name: 'hardBreak',
@@ -15,11 +15,7 @@ export default HardBreak.extend({
                 serialize(state, node, parent, index) {
                     for (let i = index + 1; i < parent.childCount; i++)
                         if (parent.child(i).type != node.type) {
-                            state.write(
-                                state.inTable
-                                    ? HTMLNode.storage.markdown.serialize.call(this, state, node, parent)
-                                    : "\\\n"
-                            );
+                            state.write(getHardBreak(this.editor.storage.markdown.options, state.inTable));
                             return;
                         }
                 },
@@ -30,3 +26,22 @@ export default HardBreak.extend({
         }
     }
 });
+
+/**
+ * @param {{ hardBreakStyle: 'backslash'|'spaces'|'newline'|'html'|null, breaks: boolean, html }} options
+ * @param {boolean} inTable - Table cells are a single line: `<br>` whatever the style, a space without HTML
+ */
+function getHardBreak({ hardBreakStyle, breaks, html }, inTable) {
+    const style = hardBreakStyle ?? (breaks ? 'newline' : 'backslash');
+    const allowed = isTagAllowed(getHTMLOptions(html), 'br');
+    if (inTable) {
+        return allowed ? "<br>" : " ";
+    }
+    if (style === 'html' && allowed) {
+        return "<br>\n";
+    }
+    return {
+        spaces: "  \n",
+        newline: "\n",
+    }[style] ?? "\\\n";
+}
@@ -1,5 +1,5 @@
 import { Node } from "@tiptap/core";
-import { defaultMarkdownSerializer } from "prosemirror-markdown";
+import { slugify, uniqueSlug } from "../../util/markdown";
 
 
 const Heading = Node.create({
@@ -13,11 +13,86 @@ export default Heading.extend({
     addStorage() {
         return {
             markdown: {
-                serialize: defaultMarkdownSerializer.nodes.heading,
+                serialize(state, node) {
+                    const { headingIds, headingStyle } = this.editor.storage.markdown.options;
+                    const { level } = node.attrs;
+                    const style = headingStyle === 'preserve' ? node.attrs.headingStyle : headingStyle;
+                    const setext = style === 'setext' && level <= 2 && node.childCount > 0;
+                    if(!setext) {
+                        state.write(`${state.repeat('#', level)} `);
+                    }
+                    const start = state.out.length;
+                    state.renderInline(node, setext);
+                    const id = headingIds && getWrittenId(state, node, headingIds);
+                    if(id) {
+                        state.write(` {#${id}}`);
+                    }
+                    if(setext) {
+                        const line = state.out.slice(Math.max(start, state.out.lastIndexOf('\n') + 1));
+                        state.ensureNewLine();
+                        state.write(state.repeat(level === 1 ? '=' : '-', Math.max(3, line.length)));
+                    }
+                    state.closeBlock(node);
+                },
                 parse: {
-                    // handled by markdown-it
+                    setup(marked) {
+                        const { editor } = this;
+                        marked.use({
+                            renderer: {
+                                heading(token) {
+                                    let html = marked.Renderer.prototype.heading.call(this, token);
+                                    const attributes = [];
+                                    if(!token.raw.trimStart().startsWith('#')) {
+                                        attributes.push('data-heading-style="setext"');
+                                    }
+                                    // `\{#id}` is escaped in the source only, the rendered html can't tell
+                                    const match = editor.storage.markdown.options.headingIds
+                                        && sourceIdRE.test(token.text)
+                                        && idRE.exec(html);
+                                    if(match) {
+                                        // the id is escaped as heading text already
+                                        attributes.push(`id="${match[1]}"`);
+                                        html = html.slice(0, match.index) + match[2];
+                                    }
+                                    return attributes.length
+                                        ? html.replace(/^<h(\d)/, `<h$1 ${attributes.join(' ')}`)
+                                        : html;
+                                },
+                            },
+                        });
+                    },
+                    updateDOM(element) {
+                        if(this.editor.storage.markdown.options.headingIds !== 'auto') {
+                            return;
+                        }
+                        const used = new Set();
+                        element.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+                            if(!heading.id) {
+                                heading.id = uniqueSlug(slugify(heading.textContent), used);
+                            }
+                            used.add(heading.id);
+                        });
+                    },
                 },
             }
         }
     }
 });
+
+const idRE = /[ \t]+\{#([^\s{}]+)\}(<\/h[1-6]>\n?)$/;
+const sourceIdRE = /[ \t]\{#[^\s{}]+\}$/;
+
+/**
+ * The id to write as `{#id}`, none when auto ids would give it back on parse.
+ * Auto ids are given in document order, the serializer keeps track of those already taken.
+ */
+function getWrittenId(state, node, headingIds) {
+    const { id } = node.attrs;
+    if(headingIds !== 'auto') {
+        return id;
+    }
+    state.headingIds ??= new Set();
+    const slug = uniqueSlug(slugify(node.textContent), state.headingIds);
+    state.headingIds.add(id ?? slug);
+    return id !== slug ? id : null;
+}
@@ -1,6 +1,6 @@
 import { Fragment } from "@tiptap/pm/model";
-import { getHTMLFromFragment, Node } from "@tiptap/core";
-import { elementFromString } from "../../util/dom";
+import { Node } from "@tiptap/core";
+import { elementFromString, getHTMLFromFragment, getHTMLOptions, filterElement } from "../../util/dom";
 
 
 export default Node.create({
@@ -9,8 +9,9 @@ export default Node.create({
         return {
             markdown: {
                 serialize(state, node, parent) {
-                    if(this.editor.storage.markdown.options.html) {
-                        state.write(serializeHTML(node, parent));
+                    const { html, domParser } = this.editor.storage.markdown.options;
+                    if(html) {
+                        serializeHTML(state, node, parent, getHTMLOptions(html), domParser);
                     } else {
                         console.warn(`Tiptap Markdown: "${node.type.name}" node is only available in html mode`);
                         state.write(`[${node.type.name}]`);
@@ -27,22 +28,32 @@ export default Node.create({
     }
 });
 
-function serializeHTML(node, parent) {
+function serializeHTML(state, node, parent, options, domParser) {
     const schema = node.type.schema;
-    const html = getHTMLFromFragment(Fragment.from(node), schema);
+    const dom = filterElement(
+        elementFromString(getHTMLFromFragment(Fragment.from(node), schema, domParser), domParser),
+        options
+    );
+
+    // tags that are not allowed are unwrapped, fall back to text when none is left
+    if(!dom.firstElementChild) {
+        state.text(dom.textContent);
+        return;
+    }
 
     if(node.isBlock && (parent instanceof Fragment || parent.type.name === schema.topNodeType.name)) {
-        return formatBlock(html);
+        state.write(formatBlock(dom.innerHTML, domParser));
+        return;
     }
 
-    return html;
+    state.write(dom.innerHTML);
 }
 
 /**
  * format html block as per the commonmark spec
  */
-function formatBlock(html) {
-    const dom = elementFromString(html);
+function formatBlock(html, domParser) {
+    const dom = elementFromString(html, domParser);
     const element = dom.firstElementChild;
 
     element.innerHTML = element.innerHTML.trim()
@@ -1,5 +1,7 @@
 import { Node } from "@tiptap/core";
 import { defaultMarkdownSerializer } from "prosemirror-markdown";
+import HTMLNode from './html';
+import { getHTMLOptions, isTagAllowed } from "../../util/dom";
 
 
 const Image = Node.create({
@@ -13,11 +15,65 @@ export default Image.extend({
     addStorage() {
         return {
             markdown: {
-                serialize: defaultMarkdownSerializer.nodes.image,
+                serialize(state, node, parent, index) {
+                    const { html, imageAttributeStyle } = this.editor.storage.markdown.options;
+                    const attributes = getExtraAttributes(node);
+                    if(attributes.length && isTagAllowed(getHTMLOptions(html), 'img') && imageAttributeStyle === 'html') {
+                        HTMLNode.storage.markdown.serialize.call(this, state, node, parent);
+                        return;
+                    }
+                    defaultMarkdownSerializer.nodes.image(state, node, parent, index);
+                    if(attributes.length) {
+                        state.write(`{${attributes.map(([name, value]) => `${name}=${formatValue(value)}`).join(' ')}}`);
+                    }
+                },
                 parse: {
-                    // handled by markdown-it
+                    updateDOM(element) {
+                        const attrs = this.editor.schema.nodes.image?.spec.attrs ?? {};
+                        element.querySelectorAll('img').forEach(img => {
+                            const next = img.nextSibling;
+                            const match = next?.nodeType === 3 /* Node.TEXT_NODE */ && attributesRE.exec(next.textContent);
+                            const attributes = match && parseAttributes(match[1]);
+                            if(!attributes || attributes.some(([name]) => !attrs[name] || markdownAttributes.includes(name))) {
+                                return;
+                            }
+                            attributes.forEach(([name, value]) => img.setAttribute(name, value));
+                            next.textContent = next.textContent.slice(match[0].length);
+                        });
+                    },
                 },
             }
         }
     }
 });
+
+/**
+ * Attributes written with the markdown image syntax, never with `{...}`
+ */
+const markdownAttributes = ['src', 'alt', 'title'];
+
+const attributesRE = /^\{((?:\s*[\w-]+=(?:"(?:\\.|[^"\\])*"|[^\s}"]+))+)\s*\}/;
+const attributeRE = /([\w-]+)=(?:"((?:\\.|[^"\\])*)"|([^\s}"]+))/g;
+
+/**
+ * Attributes with no markdown image syntax, e.g. width or alignment set by image extensions
+ * @returns {Array<[string, any]>}
+ */
+function getExtraAttributes(node) {
+    const attrs = node.type.spec.attrs ?? {};
+    return Object.entries(node.attrs)
+        .filter(([name, value]) => !markdownAttributes.includes(name)
+            && value != null
+            && value !== attrs[name]?.default
+        );
+}
+
+function formatValue(value) {
+    const string = String(value);
+    return /^[\w.%-]+$/.test(string) ? string : `"${string.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function parseAttributes(content) {
+    return [...content.matchAll(attributeRE)]
+        .map(([, name, quoted, value]) => [name, quoted != null ? quoted.replace(/\\(["\\])/g, '$1') : value]);
+}
@@ -0,0 +1,100 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import { escapeAttribute } from "../../util/dom";
+
+
+export default Node.create({
+    name: 'mathBlock',
+
+    group: 'block',
+
+    atom: true,
+
+    addAttributes() {
+        return {
+            latex: {
+                default: '',
+                parseHTML: element => element.getAttribute('data-latex') ?? element.textContent,
+                renderHTML: attributes => ({
+                    'data-latex': attributes.latex,
+                }),
+            },
+            /**
+             * `$$` or the fence of a ```math code block
+             */
+            delimiter: {
+                default: '$$',
+                parseHTML: element => element.getAttribute('data-delimiter') || '$$',
+                renderHTML: attributes => ({
+                    'data-delimiter': attributes.delimiter,
+                }),
+            },
+        }
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: `div[data-type="${this.name}"]`,
+            },
+        ]
+    },
+
+    renderHTML({ node, HTMLAttributes }) {
+        return ['div', mergeAttributes({ 'data-type': this.name }, HTMLAttributes), node.attrs.latex]
+    },
+
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    const { latex, delimiter } = node.attrs;
+                    const fence = /^(`{3,}|~{3,})$/.test(delimiter) ? delimiter : null;
+                    state.write(fence ? `${fence}math\n` : '$$\n');
+                    if(latex) {
+                        state.text(latex, false);
+                        state.ensureNewLine();
+                    }
+                    state.write(fence ?? '$$');
+                    state.closeBlock(node);
+                },
+                parse: {
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'mathBlock',
+                                level: 'block',
+                                start: src => src.match(/^(\$\$|`{3,}[ \t]*math|~{3,}[ \t]*math)/m)?.index,
+                                tokenizer(src) {
+                                    const dollars = /^\$\$[ \t]*\n(?:([\s\S]*?)\n)?\$\$[ \t]*(?:\n|$)/.exec(src);
+                                    if(dollars) {
+                                        return {
+                                            type: 'mathBlock',
+                                            raw: dollars[0],
+                                            latex: dollars[1] ?? '',
+                                            delimiter: '$$',
+                                        };
+                                    }
+                                    const fence = /^(`{3,}|~{3,})[ \t]*math[ \t]*\n(?:([\s\S]*?)\n)?\1[ \t]*(?:\n|$)/.exec(src);
+                                    if(fence) {
+                                        return {
+                                            type: 'mathBlock',
+                                            raw: fence[0],
+                                            latex: fence[2] ?? '',
+                                            delimiter: fence[1],
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<div data-type="mathBlock" data-latex="${escapeAttribute(token.latex)}" data-delimiter="${token.delimiter}"></div>\n`;
+                                },
+                            }],
+                        });
+                    },
+                },
+            },
+        }
+    },
+});
@@ -0,0 +1,88 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import { escapeAttribute } from "../../util/dom";
+
+
+export default Node.create({
+    name: 'mathInline',
+
+    group: 'inline',
+
+    inline: true,
+
+    atom: true,
+
+    addAttributes() {
+        return {
+            latex: {
+                default: '',
+                parseHTML: element => element.getAttribute('data-latex') ?? element.textContent,
+                renderHTML: attributes => ({
+                    'data-latex': attributes.latex,
+                }),
+            },
+            delimiter: {
+                default: '$',
+                parseHTML: element => element.getAttribute('data-delimiter') === '$$' ? '$$' : '$',
+                renderHTML: attributes => ({
+                    'data-delimiter': attributes.delimiter,
+                }),
+            },
+        }
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: `span[data-type="${this.name}"]`,
+            },
+        ]
+    },
+
+    renderHTML({ node, HTMLAttributes }) {
+        return ['span', mergeAttributes({ 'data-type': this.name }, HTMLAttributes), node.attrs.latex]
+    },
+
+    renderText({ node }) {
+        return node.attrs.delimiter + node.attrs.latex + node.attrs.delimiter;
+    },
+
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    const delimiter = node.attrs.delimiter === '$$' ? '$$' : '$';
+                    state.write(delimiter + node.attrs.latex + delimiter);
+                },
+                parse: {
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'mathInline',
+                                level: 'inline',
+                                start: src => src.indexOf('$'),
+                                tokenizer(src) {
+                                    const match = /^\$\$((?:\\.|[^\\$])+?)\$\$/.exec(src)
+                                        ?? /^\$(?!\s)((?:\\.|[^\\$])*?[^\\\s$])\$(?!\d)/.exec(src);
+                                    if(match) {
+                                        return {
+                                            type: 'mathInline',
+                                            raw: match[0],
+                                            latex: match[1],
+                                            delimiter: match[0].startsWith('$$') ? '$$' : '$',
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<span data-type="mathInline" data-latex="${escapeAttribute(token.latex)}" data-delimiter="${token.delimiter}"></span>`;
+                                },
+                            }],
+                        });
+                    },
+                },
+            },
+        }
+    },
+});
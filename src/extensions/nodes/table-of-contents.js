@@ -0,0 +1,124 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import { getOutline } from "../../util/outline";
+import { escapeAttribute } from "../../util/dom";
+
+
+export default Node.create({
+    name: 'tableOfContents',
+
+    group: 'block',
+
+    atom: true,
+
+    addAttributes() {
+        return {
+            /**
+             * `[[toc]]` or `<!-- toc -->` as written in markdown
+             */
+            placeholder: {
+                default: '[[toc]]',
+                parseHTML: element => element.getAttribute('data-placeholder') || '[[toc]]',
+                renderHTML: attributes => ({
+                    'data-placeholder': attributes.placeholder,
+                }),
+            },
+        }
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: `div[data-type="${this.name}"]`,
+            },
+        ]
+    },
+
+    renderHTML({ HTMLAttributes }) {
+        return ['div', mergeAttributes({ 'data-type': this.name }, HTMLAttributes)]
+    },
+
+    addNodeView() {
+        return ({ editor, HTMLAttributes, getPos }) => {
+            const dom = document.createElement('div');
+            Object.entries(mergeAttributes({ 'data-type': this.name }, HTMLAttributes))
+                .forEach(([name, value]) => dom.setAttribute(name, value));
+            dom.contentEditable = 'false';
+
+            const render = () => {
+                dom.replaceChildren(renderList(getOutline(editor.state.doc), item => {
+                    editor.chain().focus().setTextSelection(item.pos + 1).scrollIntoView().run();
+                }));
+            };
+            render();
+            editor.on('update', render);
+
+            return {
+                dom,
+                ignoreMutation: () => true,
+                destroy: () => editor.off('update', render),
+            };
+        };
+    },
+
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    state.write(node.attrs.placeholder);
+                    state.closeBlock(node);
+                },
+                parse: {
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'tableOfContents',
+                                level: 'block',
+                                start: src => src.match(/^ {0,3}(\[\[toc\]\]|<!--[ \t]*toc[ \t]*-->)/im)?.index,
+                                tokenizer(src) {
+                                    const match = /^ {0,3}(\[\[toc\]\]|<!--[ \t]*toc[ \t]*-->)[ \t]*(?:\n+|$)/i.exec(src);
+                                    if(match) {
+                                        return {
+                                            type: 'tableOfContents',
+                                            raw: match[0],
+                                            placeholder: match[1],
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    return `<div data-type="tableOfContents" data-placeholder="${escapeAttribute(token.placeholder)}"></div>\n`;
+                                },
+                            }],
+                        });
+                    },
+                },
+            },
+        }
+    },
+});
+
+/**
+ * @param {import('../../util/outline').OutlineItem[]} items
+ * @param {(item) => void} onClick
+ */
+function renderList(items, onClick) {
+    const list = document.createElement('ul');
+    items.forEach(item => {
+        const li = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${item.id}`;
+        link.textContent = item.text;
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            onClick(item);
+        });
+        li.append(link);
+        if(item.children.length) {
+            li.append(renderList(item.children, onClick));
+        }
+        list.append(li);
+    });
+    return list;
+}
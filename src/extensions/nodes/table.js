@@ -18,23 +18,24 @@ export default Table.extend({
                         HTMLNode.storage.markdown.serialize.call(this, state, node, parent);
                         return;
                     }
+                    state.flushClose();
                     state.inTable = true;
-                    node.forEach((row, p, i) => {
-                        state.write('| ');
-                        row.forEach((col, p, j) => {
-                            if(j) {
-                                state.write(' | ');
-                            }
-                            const cellContent = col.firstChild;
-                            if(cellContent.textContent.trim()) {
-                                state.renderInline(cellContent);
-                            }
+                    const rows = childNodes(node).map(row => childNodes(row).map(cell => renderCell(state, cell)));
+                    const aligns = childNodes(node.firstChild).map(cell => cell.attrs.textAlign);
+                    const widths = this.editor.storage.markdown.options.padTableColumns
+                        ? aligns.map((align, j) => Math.max(3, ...rows.map(row => row[j]?.out.length ?? 0)))
+                        : aligns.map(() => 0);
+                    rows.forEach((row, i) => {
+                        const cells = row.map((cell, j) => pad(cell.out, widths[j], aligns[j]));
+                        state.write(`| ${cells.join(' | ')} |`);
+                        let offset = state.out.length - cells.join(' | ').length - 2;
+                        row.forEach((cell, j) => {
+                            state.addSpans(cell.spans, offset + cells[j].indexOf(cell.out));
+                            offset += cells[j].length + 3;
                         });
-                        state.write(' |')
                         state.ensureNewLine();
                         if(!i) {
-                            const delimiterRow = Array.from({length: row.childCount}).map(() => '---').join(' | ');
-                            state.write(`| ${delimiterRow} |`);
+                            state.write(`| ${aligns.map((align, j) => delimiter(widths[j], align)).join(' | ')} |`);
                             state.ensureNewLine();
                         }
                     });
@@ -71,3 +72,53 @@ function isMarkdownSerializable(node) {
 
     return true;
 }
+
+/**
+ * render cell inline content apart from the output, escaping pipes (https://github.github.com/gfm/#example-200)
+ */
+function renderCell(state, cell) {
+    const cellContent = cell.firstChild;
+    const { out, spans } = state.renderApart(() => {
+        if(cellContent.childCount) {
+            state.renderInline(cellContent);
+        }
+    });
+    const escaped = offset => offset + (out.slice(0, offset).match(/\|/g)?.length ?? 0);
+    return {
+        out: out.replace(/\|/g, '\\|'),
+        spans: spans.map(span => ({
+            ...span,
+            start: escaped(span.start),
+            end: escaped(span.end),
+            offsets: getOffsets(span, out)?.map(offset => escaped(span.start + offset) - escaped(span.start)),
+        })),
+    };
+}
+
+/**
+ * Markdown offsets of the characters of a text span, needed once pipes in it are escaped
+ */
+function getOffsets(span, out) {
+    if(span.offsets || span.type !== 'text' || !out.slice(span.start, span.end).includes('|')) {
+        return span.offsets;
+    }
+    return Array.from({ length: span.end - span.start + 1 }, (_, i) => i);
+}
+
+function pad(content, width, align) {
+    const space = Math.max(0, width - content.length);
+    if(align === 'right') {
+        return ' '.repeat(space) + content;
+    }
+    if(align === 'center') {
+        return ' '.repeat(Math.floor(space / 2)) + content + ' '.repeat(Math.ceil(space / 2));
+    }
+    return content + ' '.repeat(space);
+}
+
+function delimiter(width, align) {
+    const start = align === 'left' || align === 'center' ? ':' : '';
+    const end = align === 'right' || align === 'center' ? ':' : '';
+    const dashes = width ? Math.max(1, width - start.length - end.length) : 3;
+    return start + '-'.repeat(dashes) + end;
+}
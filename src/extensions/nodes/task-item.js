@@ -0,0 +1,25 @@
+import { Node } from "@tiptap/core";
+
+
+const TaskItem = Node.create({
+    name: 'taskItem',
+});
+
+export default TaskItem.extend({
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    state.write(node.attrs.checked ? '[x] ' : '[ ] ');
+                    state.renderContent(node);
+                },
+                parse: {
+                    // handled by TaskList
+                },
+            }
+        }
+    }
+});
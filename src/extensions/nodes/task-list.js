@@ -0,0 +1,60 @@
+import { Node } from "@tiptap/core";
+import BulletList from "./bullet-list";
+
+
+const TaskList = Node.create({
+    name: 'taskList',
+});
+
+export default TaskList.extend({
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize: BulletList.storage.markdown.serialize,
+                parse: {
+                    updateDOM(element) {
+                        [...element.querySelectorAll('ul')].forEach(list => {
+                            const items = [...list.children];
+                            if(!items.some(item => getCheckbox(item))) {
+                                return;
+                            }
+                            if(items.every(item => getCheckbox(item))) {
+                                list.setAttribute('data-type', 'taskList');
+                                items.forEach(item => {
+                                    const checkbox = getCheckbox(item);
+                                    const next = checkbox.nextSibling;
+                                    item.setAttribute('data-type', 'taskItem');
+                                    item.setAttribute('data-checked', checkbox.hasAttribute('checked'));
+                                    checkbox.remove();
+                                    if(next?.nodeType === 3) { // Node.TEXT_NODE
+                                        next.textContent = next.textContent.replace(/^ /, '');
+                                    }
+                                });
+                            } else {
+                                // a task list cannot hold regular items, keep the checkboxes as text
+                                items.forEach(item => {
+                                    const checkbox = getCheckbox(item);
+                                    checkbox?.replaceWith(checkbox.hasAttribute('checked') ? '[x]' : '[ ]');
+                                });
+                            }
+                        });
+                    },
+                },
+            }
+        }
+    }
+});
+
+/**
+ * marked renders `- [x] ` as a leading checkbox, inside the paragraph in loose lists
+ */
+function getCheckbox(item) {
+    const container = item.firstElementChild?.matches('p') ? item.firstElementChild : item;
+    const first = container.firstChild;
+    return first?.nodeName === 'INPUT' && first.getAttribute('type') === 'checkbox'
+        ? first
+        : null;
+}
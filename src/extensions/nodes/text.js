@@ -1,5 +1,5 @@
 import { Node } from "@tiptap/core";
-import { escapeHTML } from "../../util/dom";
+import { escapeMarkdown } from "../../util/markdown";
 
 
 const Text = Node.create({
@@ -13,8 +13,23 @@ export default Text.extend({
     addStorage() {
         return {
             markdown: {
-                serialize(state, node) {
-                    state.text(escapeHTML(node.text));
+                serialize(state, node, parent, index) {
+                    if(state.inAutolink) {
+                        // backslashes are literal in autolinks
+                        state.text(node.text, false);
+                        return;
+                    }
+                    const { escape, html, headingIds } = this.editor.storage.markdown.options;
+                    state.text(escapeMarkdown(node.text, {
+                        mode: escape,
+                        html,
+                        math: !!this.editor.schema.nodes.mathInline,
+                        // reading the output (state.atBlank()) on every text node is slow on large documents
+                        startOfLine: state.atBlockStart || isAfterHardBreak(state, parent, index),
+                        inLink: node.marks.some(mark => mark.type.name === 'link'),
+                        endOfHeading: parent.type.name === 'heading' && index === parent.childCount - 1,
+                        headingIds: !!headingIds,
+                    }), false);
                 },
                 parse: {
                     // handled by markdown-it
@@ -23,3 +38,7 @@ export default Text.extend({
         }
     }
 });
+
+function isAfterHardBreak(state, parent, index) {
+    return index > 0 && parent.child(index - 1).type.name === state.options.hardBreakNodeName;
+}
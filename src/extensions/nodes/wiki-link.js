@@ -0,0 +1,126 @@
+import { Node, mergeAttributes } from "@tiptap/core";
+import { escapeAttribute } from "../../util/dom";
+
+
+export default Node.create({
+    name: 'wikiLink',
+
+    group: 'inline',
+
+    inline: true,
+
+    atom: true,
+
+    addOptions() {
+        return {
+            /**
+             * Gives the url of a link, or null when its target doesn't exist (the link is marked with `data-broken`)
+             * @type {((link: { target: string, anchor: string|null, label: string|null }) => string|null)|null}
+             */
+            resolveWikiLink: null,
+        }
+    },
+
+    addAttributes() {
+        return {
+            target: {
+                default: '',
+                parseHTML: element => element.getAttribute('data-target') ?? '',
+                renderHTML: attributes => ({
+                    'data-target': attributes.target,
+                }),
+            },
+            /**
+             * Heading of the target, `[[Target#Heading]]`
+             */
+            anchor: {
+                default: null,
+                parseHTML: element => element.getAttribute('data-anchor'),
+                renderHTML: attributes => ({
+                    'data-anchor': attributes.anchor,
+                }),
+            },
+            /**
+             * Text shown instead of the target, `[[Target|Label]]`
+             */
+            label: {
+                default: null,
+                parseHTML: element => element.getAttribute('data-label'),
+                renderHTML: attributes => ({
+                    'data-label': attributes.label,
+                }),
+            },
+        }
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: `a[data-type="${this.name}"]`,
+                // before the link mark, rendered wiki links have a href
+                priority: 60,
+            },
+        ]
+    },
+
+    renderHTML({ node, HTMLAttributes }) {
+        const { resolveWikiLink } = this.options;
+        const href = resolveWikiLink ? resolveWikiLink({ ...node.attrs }) : undefined;
+        const attributes = href === undefined ? {} : href ? { href } : { 'data-broken': 'true' };
+        return ['a', mergeAttributes({ 'data-type': this.name }, attributes, HTMLAttributes), getText(node)]
+    },
+
+    renderText({ node }) {
+        return getText(node);
+    },
+
+    /**
+     * @return {{markdown: MarkdownNodeSpec}}
+     */
+    addStorage() {
+        return {
+            markdown: {
+                serialize(state, node) {
+                    const { target, anchor, label } = node.attrs;
+                    state.write(`[[${target}${anchor != null ? `#${anchor}` : ''}${label != null ? `|${label}` : ''}]]`);
+                },
+                parse: {
+                    setup(marked) {
+                        marked.use({
+                            extensions: [{
+                                name: 'wikiLink',
+                                level: 'inline',
+                                start: src => src.indexOf('[['),
+                                tokenizer(src) {
+                                    const match = /^\[\[([^[\]|#\n]*)(?:#([^[\]|\n]*))?(?:\|([^[\]\n]*))?\]\]/.exec(src);
+                                    if(match && (match[1].trim() || match[2] != null)) {
+                                        return {
+                                            type: 'wikiLink',
+                                            raw: match[0],
+                                            target: match[1],
+                                            anchor: match[2] ?? null,
+                                            label: match[3] ?? null,
+                                        };
+                                    }
+                                },
+                                renderer(token) {
+                                    const attributes = [
+                                        `data-target="${escapeAttribute(token.target)}"`,
+                                        token.anchor != null ? `data-anchor="${escapeAttribute(token.anchor)}"` : '',
+                                        token.label != null ? `data-label="${escapeAttribute(token.label)}"` : '',
+                                    ];
+                                    return `<a data-type="wikiLink" ${attributes.filter(Boolean).join(' ')}></a>`;
+                                },
+                            }],
+                        });
+                    },
+                },
+            },
+        }
+    },
+});
+
+function getText(node) {
+    const { target, anchor, label } = node.attrs;
+    return label ?? (anchor != null ? `${target}#${anchor}` : target);
+}
@@ -0,0 +1,26 @@
+import { Extension } from "@tiptap/core";
+
+export const MarkdownCodeBlockMeta = Extension.create({
+    name: 'markdownCodeBlockMeta',
+    addOptions: () => ({
+        codeBlockTypes: [
+            'codeBlock',
+        ],
+    }),
+    addGlobalAttributes() {
+        return [
+            {
+                types: this.options.codeBlockTypes,
+                attributes: {
+                    meta: {
+                        default: null,
+                        parseHTML: element => element.getAttribute('data-meta'),
+                        renderHTML: attributes => ({
+                            'data-meta': attributes.meta,
+                        }),
+                    },
+                },
+            },
+        ]
+    },
+});
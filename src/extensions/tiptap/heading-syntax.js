@@ -0,0 +1,39 @@
+import { Extension } from "@tiptap/core";
+
+/**
+ * Keep heading ids and how headings were written in markdown
+ */
+export const MarkdownHeadingSyntax = Extension.create({
+    name: 'markdownHeadingSyntax',
+    addOptions: () => ({
+        headingTypes: [
+            'heading',
+        ],
+        ids: false,
+    }),
+    addGlobalAttributes() {
+        return [
+            {
+                types: this.options.headingTypes,
+                attributes: {
+                    headingStyle: {
+                        default: null,
+                        parseHTML: element => element.getAttribute('data-heading-style'),
+                        renderHTML: attributes => ({
+                            'data-heading-style': attributes.headingStyle,
+                        }),
+                    },
+                    ...(this.options.ids ? {
+                        id: {
+                            default: null,
+                            parseHTML: element => element.getAttribute('id') || null,
+                            renderHTML: attributes => ({
+                                id: attributes.id,
+                            }),
+                        },
+                    } : {}),
+                },
+            },
+        ]
+    },
+});
@@ -0,0 +1,43 @@
+import { Extension } from "@tiptap/core";
+
+/**
+ * Keep how links were written in markdown
+ */
+export const MarkdownLinkSyntax = Extension.create({
+    name: 'markdownLinkSyntax',
+    addOptions: () => ({
+        markTypes: [
+            'link',
+        ],
+    }),
+    addGlobalAttributes() {
+        return [
+            {
+                types: this.options.markTypes,
+                attributes: {
+                    linkForm: {
+                        default: null,
+                        parseHTML: element => element.getAttribute('data-link-form'),
+                        renderHTML: attributes => ({
+                            'data-link-form': attributes.linkForm,
+                        }),
+                    },
+                    reference: {
+                        default: null,
+                        parseHTML: element => element.getAttribute('data-reference'),
+                        renderHTML: attributes => ({
+                            'data-reference': attributes.reference,
+                        }),
+                    },
+                    referenceForm: {
+                        default: null,
+                        parseHTML: element => element.getAttribute('data-reference-form'),
+                        renderHTML: attributes => ({
+                            'data-reference-form': attributes.referenceForm,
+                        }),
+                    },
+                },
+            },
+        ]
+    },
+});
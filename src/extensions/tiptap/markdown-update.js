@@ -0,0 +1,61 @@
+import { Extension } from "@tiptap/core";
+import { diffText } from "../../util/diff";
+
+export const MarkdownUpdate = Extension.create({
+    name: 'markdownUpdate',
+    addOptions() {
+        return {
+            debounce: 0,
+            diff: false,
+        }
+    },
+    addStorage() {
+        return {
+            markdown: null,
+            before: null,
+            timeout: null,
+        }
+    },
+    onUpdate({ transaction }) {
+        if(this.options.diff && this.storage.markdown === null) {
+            // document the first diff is made against
+            this.storage.before ??= transaction.before;
+        }
+        clearTimeout(this.storage.timeout);
+        if(this.options.debounce > 0) {
+            this.storage.timeout = setTimeout(() => emitUpdate(this), this.options.debounce);
+        } else {
+            emitUpdate(this);
+        }
+    },
+    onDestroy() {
+        clearTimeout(this.storage.timeout);
+    },
+})
+
+function emitUpdate({ editor, options, storage }) {
+    if(editor.isDestroyed || !editor.storage.markdown) {
+        return;
+    }
+    // only serialize when someone listens
+    if(!editor.callbacks.markdownUpdate?.length) {
+        storage.markdown = null;
+        storage.before = null;
+        return;
+    }
+    const frontMatter = editor.storage.markdown.frontMatter?.raw ?? '';
+    const previous = storage.markdown
+        ?? (storage.before && frontMatter + editor.storage.markdown.serializer.serialize(storage.before));
+    const markdown = editor.storage.markdown.getMarkdown();
+    storage.before = null;
+    if(markdown === previous) {
+        return;
+    }
+    storage.markdown = markdown;
+    editor.emit('markdownUpdate', {
+        editor,
+        markdown,
+        previous,
+        diff: options.diff && previous !== null ? diffText(previous, markdown) : null,
+    });
+}
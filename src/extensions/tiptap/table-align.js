@@ -0,0 +1,28 @@
+import { Extension } from "@tiptap/core";
+
+export const MarkdownTableAlign = Extension.create({
+    name: 'markdownTableAlign',
+    addOptions: () => ({
+        cellTypes: [
+            'tableHeader',
+            'tableCell',
+        ],
+    }),
+    addGlobalAttributes() {
+        return [
+            {
+                types: this.options.cellTypes,
+                attributes: {
+                    textAlign: {
+                        default: null,
+                        parseHTML: element =>
+                            element.style.textAlign || element.getAttribute('align') || null,
+                        renderHTML: attributes => ({
+                            style: attributes.textAlign ? `text-align: ${attributes.textAlign}` : null,
+                        }),
+                    },
+                },
+            },
+        ]
+    },
+});
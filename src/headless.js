@@ -0,0 +1,69 @@
+import { getSchemaByResolvedExtensions } from "@tiptap/core";
+import { DOMParser, Node } from "@tiptap/pm/model";
+import { Markdown } from "./Markdown";
+import { MarkdownParser } from "./parse/MarkdownParser";
+import { MarkdownSerializer } from "./serialize/MarkdownSerializer";
+import { elementFromString } from "./util/dom";
+import { resolveExtensions } from "./util/extensions";
+
+/**
+ * Parse markdown to ProseMirror JSON without an editor.
+ * Parsing goes through HTML: outside the browser, pass a `domParser` (e.g. `new (new JSDOM().window.DOMParser)()`).
+ * @param {string} markdown
+ * @param {object} options
+ * @param {Array<import('@tiptap/core').AnyExtension>} options.extensions - Same extensions as the editor, `Markdown.configure()` for options
+ * @param {import('@tiptap/pm/model').Schema} [options.schema] - Defaults to the schema built from `extensions`
+ * @param {DOMParser} [options.domParser] - Overrides the `domParser` option of the Markdown extension
+ * @returns {object}
+ */
+export function parseMarkdown(markdown, { extensions, schema, domParser } = {}) {
+    const context = createContext({ extensions, schema, domParser });
+    const html = context.storage.markdown.parser.parse(markdown);
+    const element = elementFromString(html, context.storage.markdown.options.domParser);
+
+    return DOMParser.fromSchema(context.schema).parse(element).toJSON();
+}
+
+/**
+ * Serialize ProseMirror JSON to markdown without an editor.
+ * No DOM is needed unless nodes or marks without a markdown spec are serialized as HTML.
+ * @param {object} json
+ * @param {object} options
+ * @param {Array<import('@tiptap/core').AnyExtension>} options.extensions - Same extensions as the editor, `Markdown.configure()` for options
+ * @param {import('@tiptap/pm/model').Schema} [options.schema] - Defaults to the schema built from `extensions`
+ * @param {DOMParser} [options.domParser] - Overrides the `domParser` option of the Markdown extension
+ * @returns {string}
+ */
+export function serializeMarkdown(json, { extensions, schema, domParser } = {}) {
+    const context = createContext({ extensions, schema, domParser });
+
+    return context.storage.markdown.serializer.serialize(Node.fromJSON(context.schema, json));
+}
+
+/**
+ * Provide what the parser, the serializer and the markdown specs use from the editor
+ */
+function createContext({ extensions = [], schema, domParser }) {
+    if(!extensions.some(extension => extension.name === Markdown.name)) {
+        extensions = [Markdown, ...extensions];
+    }
+    const resolvedExtensions = resolveExtensions(extensions);
+    const markdown = resolvedExtensions.find(extension => extension.name === Markdown.name);
+    const options = {
+        ...markdown.options,
+        domParser: domParser ?? markdown.options.domParser,
+    };
+    const context = {
+        schema: schema ?? getSchemaByResolvedExtensions(resolvedExtensions),
+        extensionManager: {
+            extensions: resolvedExtensions,
+        },
+        storage: {},
+    };
+    context.storage.markdown = {
+        options,
+        parser: new MarkdownParser(context, options),
+        serializer: new MarkdownSerializer(context),
+    };
+    return context;
+}
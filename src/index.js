@@ -2,3 +2,11 @@
 
 
 export { Markdown } from './Markdown';
+export { parseMarkdown, serializeMarkdown } from './headless';
+export { default as FootnoteReference } from './extensions/nodes/footnote-reference';
+export { default as FootnoteDefinition } from './extensions/nodes/footnote-definition';
+export { default as MathInline } from './extensions/nodes/math-inline';
+export { default as MathBlock } from './extensions/nodes/math-block';
+export { default as TableOfContents } from './extensions/nodes/table-of-contents';
+export { default as WikiLink } from './extensions/nodes/wiki-link';
+export { getOutline } from './util/outline';
@@ -1,7 +1,6 @@
-import { marked } from 'marked';
-import { elementFromString, extractElement, unwrapElement } from "../util/dom";
+import { Marked } from 'marked';
+import { elementFromString, extractElement, unwrapElement, getHTMLOptions, filterTags, sanitizeElement } from "../util/dom";
 import { getMarkdownSpec } from "../util/extensions";
-import { cleanupMarkedParser } from "../util/markdown";
 
 // Use a weak cache to avoid recomputing selectors
 const blockSelectorCache = new WeakMap();
@@ -15,12 +14,27 @@ export class MarkdownParser {
     // Track destruction state
     destroyed = false;
     
-    // Use a function-based approach instead of storing the parser
+    /**
+     * @type {import('marked').Marked}
+     */
+    marked = null;
+    
     parseMarkdown = null;
     parseMarkdownInline = null;
 
-    constructor(editor, { html, linkify, breaks }) {
+    /**
+     * @type {DOMParser|null}
+     */
+    domParser = null;
+
+    /**
+     * @type {{ allow: string[]|null, sanitize: boolean }|null}
+     */
+    htmlOptions = null;
+
+    constructor(editor, { html, linkify, breaks, domParser }) {
         this.editor = editor;
+        this.domParser = domParser ?? null;
         
         // Configure marked options to match markdown-it behavior
         const markedOptions = {
@@ -28,29 +42,98 @@ export class MarkdownParser {
             mangle: false,    // Don't mangle header IDs
             breaks: breaks,   // Line breaks behavior
             gfm: true,        // GitHub Flavored Markdown
-            linkify: linkify, // Linkify functionality
-            // Handle HTML option explicitly
-            html: html !== false, // Allow HTML by default to match markdown-it's default behavior when html=true
             silent: false,
-            // In marked, linkify functionality is part of GFM
         };
         
-        // Store the parsing functions directly, don't keep a reference to marked
-        this.parseMarkdown = this.withPatchedRenderer((text) => {
-            // Reset options before each parse to ensure clean state
-            marked.setOptions(markedOptions);
-            return marked.parse(text);
-        });
+        // Each editor owns its marked instance, built once, so options and extensions
+        // never leak between editors mounted on the same page
+        this.marked = new Marked(markedOptions);
+        this.htmlOptions = getHTMLOptions(html);
+        if (!this.htmlOptions) {
+            this.disableHTML();
+        } else if (this.htmlOptions.allow || this.htmlOptions.sanitize) {
+            this.filterHTML();
+        }
+        this.setupLinkify(linkify);
+        this.setup();
         
-        this.parseMarkdownInline = this.withPatchedRenderer((text) => {
-            // Reset options before each parse to ensure clean state
-            marked.setOptions(markedOptions);
-            return marked.parseInline(text);
-        });
+        this.parseMarkdown = this.withPatchedRenderer((text) => this.marked.parse(text));
+        this.parseMarkdownInline = this.withPatchedRenderer((text) => this.marked.parseInline(text));
         
         // Add event listener for cleanup
+        // (standalone parsers have no editor lifecycle, see headless.js)
         this.destroyHandler = () => this.destroy();
-        this.editor.on('destroy', this.destroyHandler);
+        this.editor.on?.('destroy', this.destroyHandler);
+    }
+
+    /**
+     * Without tokens for HTML blocks and inline tags, raw HTML is read as text and escaped
+     * (HTML blocks become paragraphs, as in markdown-it with `html: false`)
+     */
+    disableHTML() {
+        this.marked.use({
+            tokenizer: {
+                // returning false would fall back to marked's own tokenizer
+                html: () => undefined,
+                tag: () => undefined,
+            },
+        });
+    }
+
+    /**
+     * GFM always links bare urls (`https://...`, `www.`, emails): keep those allowed by the `linkify` option,
+     * others are left as text
+     * @param {boolean|{ protocols?: string[], validate?: (href: string) => boolean }} linkify
+     */
+    setupLinkify(linkify) {
+        const { protocols, validate } = typeof linkify === 'object' && linkify || {};
+        const allowed = protocols?.map(protocol => protocol.replace(/:$/, '').toLowerCase());
+        const { marked } = this;
+        marked.use({
+            tokenizer: {
+                url(src) {
+                    const token = marked.Tokenizer.prototype.url.call(this, src);
+                    if (!token) {
+                        return undefined;
+                    }
+                    const protocol = token.href.slice(0, token.href.indexOf(':')).toLowerCase();
+                    if (linkify && (!allowed || allowed.includes(protocol)) && (!validate || validate(token.href))) {
+                        return token;
+                    }
+                    // the whole url as text, or the text tokenizer would stop at a `www.` inside it
+                    return { type: 'text', raw: token.raw, text: token.raw };
+                },
+            },
+        });
+    }
+
+    /**
+     * Remove raw HTML tags that are not allowed (see `html.allow` option)
+     */
+    filterHTML() {
+        const options = this.htmlOptions;
+        this.marked.use({
+            renderer: {
+                html: ({ text }) => filterTags(text, options),
+            },
+        });
+    }
+
+    /**
+     * Let extensions configure the marked instance (e.g. register extensions via `marked.use()`)
+     */
+    setup() {
+        const extensions = this.editor.extensionManager.extensions;
+        for (let i = 0; i < extensions.length; i++) {
+            const extension = extensions[i];
+            const spec = getMarkdownSpec(extension);
+            if (spec?.parse?.setup) {
+                spec.parse.setup.call(
+                    { editor: this.editor, options: extension.options },
+                    this.marked
+                );
+            }
+        }
     }
 
     /**
@@ -62,17 +145,15 @@ export class MarkdownParser {
         
         // Remove event listener
         if (this.editor && this.destroyHandler) {
-            this.editor.off('destroy', this.destroyHandler);
+            this.editor.off?.('destroy', this.destroyHandler);
             this.destroyHandler = null;
         }
         
         // Release all references
         this.parseMarkdown = null;
         this.parseMarkdownInline = null;
+        this.marked = null;
         this.editor = null;
-        
-        // Clean up the marked parser
-        cleanupMarkedParser();
     }
 
     parse(content, { inline } = {}) {
@@ -86,7 +167,7 @@ export class MarkdownParser {
                     : this.parseMarkdown(content);
                 
                 // Create DOM from HTML string    
-                const element = elementFromString(renderedHTML);
+                const element = elementFromString(renderedHTML, this.domParser);
                 
                 // Allow extensions to modify the DOM
                 const extensions = this.editor.extensionManager.extensions;
@@ -101,6 +182,10 @@ export class MarkdownParser {
                     }
                 }
                 
+                if (this.htmlOptions?.sanitize) {
+                    sanitizeElement(element, this.htmlOptions);
+                }
+
                 // Normalize the DOM structure
                 this.normalizeDOM(element, { inline, content });
                 
@@ -128,7 +213,7 @@ export class MarkdownParser {
             for (let i = 0; i < elements.length; i++) {
                 const el = elements[i];
                 const nextSibling = el.nextSibling;
-                if (nextSibling?.nodeType === Node.TEXT_NODE && !el.closest('pre')) {
+                if (nextSibling?.nodeType === 3 /* Node.TEXT_NODE */ && !el.closest('pre')) {
                     nextSibling.textContent = nextSibling.textContent.replace(/^\n/, '');
                 }
             }
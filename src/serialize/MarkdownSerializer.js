@@ -11,6 +11,18 @@ export class MarkdownSerializer {
      */
     editor = null;
 
+    /**
+     * Spec tables, computed once for the editor's extensions
+     * @type {{ extensions: Array, nodes: object, marks: object }|null}
+     */
+    specs = null;
+
+    /**
+     * Markdown of the top-level blocks from the last incremental serialization
+     * @type {WeakMap<import('prosemirror-model').Node, { closed, lastChar: string, out: string, closedAfter }>}
+     */
+    blocks = new WeakMap();
+
     constructor(editor) {
         this.editor = editor;
     }
@@ -20,19 +32,111 @@ export class MarkdownSerializer {
      */
     destroy() {
         this.editor = null;
+        this.specs = null;
+        this.blocks = null;
     }
 
-    serialize(content) {
+    /**
+     * @param {import('prosemirror-model').Node} content
+     * @param {object} [options]
+     * @param {boolean} [options.sourceMap] - Return `{ markdown, map }` with the map between document positions and markdown offsets
+     * @param {boolean} [options.incremental] - Reuse the markdown of top-level blocks unchanged since the last call
+     */
+    serialize(content, { sourceMap = false, incremental = false } = {}) {
+        if(incremental && !sourceMap) {
+            const markdown = this.serializeIncremental(content);
+            if(markdown !== null) {
+                return markdown;
+            }
+        }
+
         const state = new MarkdownSerializerState(this.nodes, this.marks, {
             hardBreakNodeName: HardBreak.name,
+            sourceMap,
         });
 
         state.renderContent(content);
+        state.renderDeferred();
+
+        if(sourceMap) {
+            return { markdown: state.out, map: state.sourceMap };
+        }
 
         return state.out;
     }
 
+    /**
+     * Render each top-level block apart and splice the results, as a full serialization would write them.
+     * Transactions keep the same node instances for untouched blocks, so a block is only rendered again when
+     * it changed, when what precedes it changed (block separation, adjacent lists...) or when the previous
+     * block was rendered differently.
+     * Returns null when blocks render content at the end of the document (e.g. footnotes) or depend on the
+     * blocks before them (auto heading ids): serialize fully then.
+     */
+    serializeIncremental(doc) {
+        const chunks = [];
+        let closed = null;
+        let lastChar = '';
+        let previousChanged = false;
+
+        this.getSpecs();
+
+        for(let index = 0; index < doc.childCount; index++) {
+            const node = doc.child(index);
+            let block = this.blocks.get(node);
+
+            if(!block || previousChanged || block.closed !== closed || block.lastChar !== lastChar) {
+                const state = new MarkdownSerializerState(this.nodes, this.marks, {
+                    hardBreakNodeName: HardBreak.name,
+                });
+                // what a full serialization would have before this block
+                state.out = lastChar;
+                state.closed = closed;
+                state.render(node, doc, index);
+
+                // deferred content and auto heading ids depend on the whole document
+                if(state.deferred.length || state.headingIds) {
+                    return null;
+                }
+
+                const out = state.out.slice(lastChar.length);
+                previousChanged = out !== block?.out || state.closed !== block?.closedAfter;
+                block = { closed, lastChar, out, closedAfter: state.closed };
+                this.blocks.set(node, block);
+            } else {
+                previousChanged = false;
+            }
+
+            chunks.push(block.out);
+            closed = block.closedAfter;
+            lastChar = block.out.slice(-1) || lastChar;
+        }
+
+        return chunks.join('');
+    }
+
     get nodes() {
+        return this.getSpecs().nodes;
+    }
+
+    get marks() {
+        return this.getSpecs().marks;
+    }
+
+    getSpecs() {
+        const { extensions } = this.editor.extensionManager;
+        if(this.specs?.extensions !== extensions) {
+            this.blocks = new WeakMap();
+            this.specs = {
+                extensions,
+                nodes: this.createNodes(),
+                marks: this.createMarks(),
+            };
+        }
+        return this.specs;
+    }
+
+    createNodes() {
         return {
             ...Object.fromEntries(
                 Object.keys(this.editor.schema.nodes)
@@ -47,7 +151,7 @@ export class MarkdownSerializer {
         };
     }
 
-    get marks() {
+    createMarks() {
         return {
             ...Object.fromEntries(
                 Object.keys(this.editor.schema.marks)
@@ -0,0 +1,72 @@
+/**
+ * Maps document positions to markdown offsets and back.
+ * Each rendered node is recorded as a span `{ type, from, to, start, end }` where `from`/`to` are
+ * the node boundaries in the document and `start`/`end` the range of markdown it produced.
+ * Positions inside text nodes are mapped character by character, taking escapes into account
+ * (text spans written with escapes have the markdown `offsets` of their characters, relative to `start`),
+ * other positions fall back to the boundaries of the innermost node containing them.
+ */
+export class MarkdownSourceMap {
+    /**
+     * @type {Array<{ type: string, from: number, to: number, start: number, end: number, offsets?: number[] }>}
+     */
+    spans = [];
+
+    constructor(spans = []) {
+        this.spans = spans;
+    }
+
+    /**
+     * @param {number} pos - A position in the document
+     * @returns {number} The corresponding offset in the markdown
+     */
+    toMarkdownOffset(pos) {
+        const span = innermost(this.spans.filter(span => span.from <= pos && pos <= span.to), span => span.to - span.from);
+        if(!span) {
+            return 0;
+        }
+        if(span.type === 'text') {
+            return span.start + (span.offsets
+                ? span.offsets[pos - span.from]
+                : Math.min(pos - span.from, span.end - span.start));
+        }
+        return pos - span.from <= span.to - pos ? span.start : span.end;
+    }
+
+    /**
+     * @param {number} offset - An offset in the markdown
+     * @returns {number} The corresponding position in the document
+     */
+    toDocPos(offset) {
+        const span = innermost(this.spans.filter(span => span.start <= offset && offset <= span.end), span => span.end - span.start);
+        if(!span) {
+            return 0;
+        }
+        if(span.type === 'text') {
+            if(span.offsets) {
+                // last character starting at or before the offset
+                const index = span.offsets.findLastIndex(start => start <= offset - span.start);
+                return span.from + Math.max(0, index);
+            }
+            return span.from + Math.min(offset - span.start, span.to - span.from);
+        }
+        return offset === span.end && offset !== span.start ? span.to : span.from;
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {MarkdownSourceMap} A copy of the map with markdown offsets moved by `offset`
+     */
+    shift(offset) {
+        return new MarkdownSourceMap(
+            this.spans.map(span => ({ ...span, start: span.start + offset, end: span.end + offset }))
+        );
+    }
+}
+
+/**
+ * Smallest of the containing spans, the last rendered one on equal size
+ */
+function innermost(spans, size) {
+    return spans.reduce((result, span) => !result || size(span) <= size(result) ? span : result, null);
+}
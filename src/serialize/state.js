@@ -1,10 +1,13 @@
 import { MarkdownSerializerState as BaseMarkdownSerializerState } from "prosemirror-markdown";
 import { trimInline } from "../util/markdown";
+import { MarkdownSourceMap } from "./source-map";
 
 
 /**
  * Override default MarkdownSerializerState to:
  * - handle commonmark delimiters (https://spec.commonmark.org/0.29/#left-flanking-delimiter-run)
+ * - render blocks deferred to the end of the document (e.g. footnote definitions)
+ * - record the markdown range of each rendered node when a source map is requested
  */
 export class MarkdownSerializerState extends BaseMarkdownSerializerState {
 
@@ -13,9 +16,26 @@ export class MarkdownSerializerState extends BaseMarkdownSerializerState {
     constructor(nodes, marks, options) {
         super(nodes, marks, options ?? {});
         this.inlines = [];
+        this.deferred = [];
+        this.sourceMap = options?.sourceMap ? new MarkdownSourceMap() : null;
+        this.positions = new Map();
+    }
+
+    /**
+     * Schedule `render` to be called once the whole content has been rendered
+     */
+    defer(render) {
+        this.deferred.push(render);
+    }
+
+    renderDeferred() {
+        while(this.deferred.length) {
+            this.deferred.shift()();
+        }
     }
 
     render(node, parent, index) {
+        const span = this.sourceMap && this.startSpan(node, parent, index);
         super.render(node, parent, index);
         const top = this.inlines[this.inlines.length - 1];
         if(top?.start && top?.end) {
@@ -23,6 +43,73 @@ export class MarkdownSerializerState extends BaseMarkdownSerializerState {
             this.out = trimInline(this.out, delimiter, start, end);
             this.inlines.pop();
         }
+        if(span) {
+            this.endSpan(span, node);
+        }
+    }
+
+    /**
+     * Render `f` apart from the output.
+     * The returned source map spans are relative to the returned markdown, see `addSpans()`
+     */
+    renderApart(f) {
+        const { out, delim } = this;
+        const spans = this.sourceMap?.spans;
+        this.out = '';
+        this.delim = '';
+        if(spans) {
+            this.sourceMap.spans = [];
+        }
+        f();
+        const result = { out: this.out, spans: this.sourceMap?.spans ?? [] };
+        this.out = out;
+        this.delim = delim;
+        if(spans) {
+            this.sourceMap.spans = spans;
+        }
+        return result;
+    }
+
+    /**
+     * Add spans of markdown rendered apart once it has been written at `offset`
+     */
+    addSpans(spans, offset) {
+        this.sourceMap?.spans.push(...spans.map(span => ({ ...span, start: span.start + offset, end: span.end + offset })));
+    }
+
+    startSpan(node, parent, index) {
+        if(!this.positions.size) {
+            // the first rendered node is a child of the serialized document
+            parent.descendants((child, pos) => {
+                this.positions.set(child, pos);
+            });
+        }
+        const from = this.positions.get(node) ?? this.positions.get(parent.child(index)) ?? 0;
+        const span = { type: node.type.name, from, to: from + node.nodeSize, start: this.out.length, end: null };
+        this.sourceMap.spans.push(span);
+        return span;
+    }
+
+    endSpan(span, node) {
+        span.end = this.out.length;
+        if(span.type !== 'text') {
+            while(span.end > span.start && this.out.charAt(span.end - 1) === '\n') {
+                span.end--;
+            }
+        }
+        // skip the separation from the previous block and the line prefix
+        while(span.start < span.end) {
+            if(this.out.charAt(span.start) === '\n') {
+                span.start++;
+            } else if(this.delim && this.out.charAt(span.start - 1) === '\n' && this.out.startsWith(this.delim, span.start)) {
+                span.start += this.delim.length;
+            } else {
+                break;
+            }
+        }
+        if(node.isText) {
+            span.offsets = getTextOffsets(node.text, this.out.slice(span.start, span.end));
+        }
     }
 
     markString(mark, open, parent, index) {
@@ -55,3 +142,41 @@ export class MarkdownSerializerState extends BaseMarkdownSerializerState {
         }
     }
 }
+
+/**
+ * Offset in the markdown of each character of a text node (relative to its span), when the text was
+ * written with escapes (`\*`, `&lt;`...) or line prefixes: output characters that don't match are skipped.
+ * @param {string} text
+ * @param {string} out
+ * @returns {number[]|undefined} `text.length + 1` offsets, undefined when the text was written as is
+ */
+function getTextOffsets(text, out) {
+    if(text === out) {
+        return undefined;
+    }
+    const offsets = [];
+    let j = 0;
+    for(let i = 0; i < text.length; i++) {
+        const char = text.charAt(i);
+        const entity = entities[char];
+        let k = j;
+        while(k < out.length && !out.startsWith(char, k) && !(entity && out.startsWith(entity, k))) {
+            k++;
+        }
+        if(k === out.length) {
+            // not written (e.g. trimmed), keep the position
+            offsets.push(j);
+            continue;
+        }
+        // an escaped backslash is written `\\`
+        if(char === '\\' && out.charAt(k + 1) === '\\') {
+            k++;
+        }
+        offsets.push(k);
+        j = k + (entity && out.startsWith(entity, k) ? entity.length : 1);
+    }
+    offsets.push(Math.min(j, out.length));
+    return offsets;
+}
+
+const entities = { '<': '&lt;', '>': '&gt;' };
@@ -0,0 +1,22 @@
+/**
+ * Changed range between two texts: `previous.slice(from, to)` is replaced by `text` in `next`
+ * @param {string} previous
+ * @param {string} next
+ * @returns {{ from: number, to: number, text: string }}
+ */
+export function diffText(previous, next) {
+    const length = Math.min(previous.length, next.length);
+    let start = 0;
+    while(start < length && previous.charCodeAt(start) === next.charCodeAt(start)) {
+        start++;
+    }
+    let end = 0;
+    while(end < length - start && previous.charCodeAt(previous.length - end - 1) === next.charCodeAt(next.length - end - 1)) {
+        end++;
+    }
+    return {
+        from: start,
+        to: previous.length - end,
+        text: next.slice(start, next.length - end),
+    };
+}
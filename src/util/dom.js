@@ -1,10 +1,25 @@
+import { DOMSerializer } from "@tiptap/pm/model";
 
-
-export function elementFromString(value) {
+/**
+ * @param {string} value
+ * @param {DOMParser} [domParser] - Defaults to the browser DOMParser, pass one from jsdom, happy-dom... on the server
+ */
+export function elementFromString(value, domParser = null) {
     // add a wrapper to preserve leading and trailing whitespace
     const wrappedValue = `<body>${value}</body>`
 
-    return new window.DOMParser().parseFromString(wrappedValue, 'text/html').body
+    return (domParser ?? new window.DOMParser()).parseFromString(wrappedValue, 'text/html').body
+}
+
+/**
+ * Same as tiptap's getHTMLFromFragment, with a pluggable DOM implementation
+ */
+export function getHTMLFromFragment(fragment, schema, domParser = null) {
+    const container = elementFromString('', domParser);
+    container.appendChild(
+        DOMSerializer.fromSchema(schema).serializeFragment(fragment, { document: container.ownerDocument })
+    );
+    return container.innerHTML;
 }
 
 export function escapeHTML(value) {
@@ -13,6 +28,13 @@ export function escapeHTML(value) {
         .replace(/>/g, '&gt;');
 }
 
+export function escapeAttribute(value) {
+    return value
+        ?.replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;');
+}
+
 export function extractElement(node) {
     const parent = node.parentElement;
     const prepend = parent.cloneNode();
@@ -37,3 +59,107 @@ export function unwrapElement(node) {
 
     parent.removeChild(node);
 }
+
+/**
+ * Elements whose content is removed along with them when they are not allowed
+ */
+const unsafeElements = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript'];
+const urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background'];
+
+/**
+ * The `html` option as `{ allow, sanitize }`, null when HTML is disabled
+ * @param {boolean|{ allow?: string[], sanitize?: boolean }} html
+ * @returns {{ allow: string[]|null, sanitize: boolean }|null}
+ */
+export function getHTMLOptions(html) {
+    if(!html) {
+        return null;
+    }
+    return {
+        allow: html.allow?.map(tag => tag.toLowerCase()) ?? null,
+        sanitize: !!html.sanitize,
+    };
+}
+
+/**
+ * @param {{ allow: string[]|null, sanitize: boolean }|null} options - See `getHTMLOptions()`
+ * @param {string} tag
+ */
+export function isTagAllowed(options, tag) {
+    tag = tag.toLowerCase();
+    if(!options) {
+        return false;
+    }
+    if(options.allow) {
+        return options.allow.includes(tag);
+    }
+    return !options.sanitize || !unsafeElements.includes(tag);
+}
+
+/**
+ * Remove tags that are not allowed from raw HTML, keeping their content except for unsafe elements (scripts...)
+ * @param {string} html - Raw HTML, tags may be unbalanced
+ */
+export function filterTags(html, options) {
+    // removing a tag may form another one (`<<b>img ...>`), filter until nothing changes
+    let previous;
+    do {
+        previous = html;
+        html = html
+            .replace(/<([a-z][a-z0-9-]*)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, (element, tag) =>
+                unsafeElements.includes(tag.toLowerCase()) && !isTagAllowed(options, tag) ? '' : element
+            )
+            .replace(/<\/?([a-z][a-z0-9-]*)\b(?:"[^"]*"|'[^']*'|[^'">])*>/gi, (element, tag) =>
+                isTagAllowed(options, tag) ? element : ''
+            );
+    } while(html !== previous);
+    return html;
+}
+
+/**
+ * Unwrap elements that are not allowed, and with `sanitize` remove event handlers and script urls
+ * @param {HTMLElement} element
+ */
+export function filterElement(element, options) {
+    element.querySelectorAll('*').forEach(child => {
+        if(!isTagAllowed(options, child.localName)) {
+            unsafeElements.includes(child.localName) ? child.remove() : unwrapElement(child);
+            return;
+        }
+        if(options.sanitize) {
+            sanitizeAttributes(child);
+        }
+    });
+    return element;
+}
+
+/**
+ * Remove event handlers, script urls and unsafe elements that are not allowed,
+ * keeping other elements (those generated from markdown)
+ * @param {HTMLElement} element
+ */
+export function sanitizeElement(element, options) {
+    element.querySelectorAll('*').forEach(child => {
+        if(unsafeElements.includes(child.localName) && !isTagAllowed(options, child.localName)) {
+            child.remove();
+        } else {
+            sanitizeAttributes(child);
+        }
+    });
+    return element;
+}
+
+function sanitizeAttributes(element) {
+    [...element.attributes].forEach(({ name, value }) => {
+        if(/^on/i.test(name) || urlAttributes.includes(name.toLowerCase()) && isUnsafeURL(value)) {
+            element.removeAttribute(name);
+        }
+    });
+}
+
+function isUnsafeURL(url) {
+    // browsers ignore whitespace and control characters in the scheme
+    const value = url.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    return /^(?:javascript|vbscript):/.test(value)
+        || /^data:/.test(value) && !/^data:image\/(?:png|gif|jpe?g|webp|avif);/.test(value);
+}
@@ -1,9 +1,15 @@
+import { getExtensionField } from "@tiptap/core";
 import markdownExtensions from "../extensions";
 
 
+let defaultMarkdownSpecs = null;
+
 export function getMarkdownSpec(extension) {
+    // built on first use, the default extensions may not be evaluated yet when this module is
+    defaultMarkdownSpecs ??= new Map(markdownExtensions.map(e => [e.name, e.storage.markdown]));
+
     const markdownSpec = extension.storage?.markdown;
-    const defaultMarkdownSpec = markdownExtensions.find(e => e.name === extension.name)?.storage.markdown;
+    const defaultMarkdownSpec = defaultMarkdownSpecs.get(extension.name);
 
     if(markdownSpec || defaultMarkdownSpec) {
         return {
@@ -14,3 +20,23 @@ export function getMarkdownSpec(extension) {
 
     return null;
 }
+
+/**
+ * Flatten and sort extensions by priority as the editor's ExtensionManager does (which is not exported)
+ */
+export function resolveExtensions(extensions) {
+    return flattenExtensions(extensions).sort((a, b) =>
+        (getExtensionField(b, 'priority') || 100) - (getExtensionField(a, 'priority') || 100)
+    );
+}
+
+function flattenExtensions(extensions) {
+    return extensions.flatMap(extension => {
+        const addExtensions = getExtensionField(extension, 'addExtensions', {
+            name: extension.name,
+            options: extension.options,
+            storage: extension.storage,
+        });
+        return addExtensions ? [extension, ...flattenExtensions(addExtensions())] : [extension];
+    });
+}
@@ -1,54 +1,3 @@
-import { marked } from 'marked';
-
-// Use a symbol for private properties
-const parserSymbol = Symbol('markedParser');
-
-// Cleanup global function
-let globalCleanupScheduled = false;
-
-/**
- * Get the marked parser singleton - lazily initialized
- */
-export function getMarkedParser() {
-    // Only create if needed and return wrapped functions, not the instance
-    if (!globalThis[parserSymbol]) {
-        const wrapAndClean = (fn) => {
-            return (...args) => {
-                try {
-                    return fn(...args);
-                } finally {
-                    // Schedule cleanup after processing is done
-                    if (!globalCleanupScheduled) {
-                        globalCleanupScheduled = true;
-                        setTimeout(() => {
-                            // Clear parser if no active usage
-                            if (globalThis[parserSymbol] && !document.querySelector('.ProseMirror')) {
-                                cleanupMarkedParser();
-                            }
-                            globalCleanupScheduled = false;
-                        }, 5000);
-                    }
-                }
-            };
-        };
-
-        globalThis[parserSymbol] = {
-            parse: wrapAndClean(marked.parse),
-            parseInline: wrapAndClean(marked.parseInline)
-        };
-    }
-    return globalThis[parserSymbol];
-}
-
-/**
- * Clean up the marked parser
- */
-export function cleanupMarkedParser() {
-    if (globalThis[parserSymbol]) {
-        globalThis[parserSymbol] = null;
-    }
-}
-
 /**
  * Optimized delimiter check
  * This combines the can_open and can_close checks from CommonMark spec
@@ -197,3 +146,166 @@ export function trimInline(text, delim, from, to) {
         return text;
     }
 }
+
+/**
+ * Escape text so that a CommonMark/GFM parser reads it back literally.
+ * - `aggressive` escapes every markdown punctuation character wherever it appears
+ * - `minimal` only escapes characters that would change meaning at their position
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {'minimal'|'aggressive'} [options.mode]
+ * @param {boolean} [options.html] - Whether raw HTML is parsed
+ * @param {boolean} [options.math] - Whether `$` delimits math
+ * @param {boolean} [options.startOfLine] - Whether the text starts a line in the output
+ * @param {boolean} [options.inLink] - Whether the text is part of a link text
+ * @param {boolean} [options.endOfHeading] - Whether the text ends the content of a heading
+ * @param {boolean} [options.headingIds] - Whether `{#id}` at the end of a heading is parsed as its id
+ * @returns {string}
+ */
+export function escapeMarkdown(text, { mode = 'aggressive', html = true, math = false, startOfLine = false, inLink = false, endOfHeading = false, headingIds = false } = {}) {
+    const lines = text.split('\n');
+    return lines
+        .map((line, i) => {
+            let escaped = mode === 'minimal'
+                ? escapeInlineMinimal(line, { html, math, inLink })
+                : escapeInlineAggressive(line, { html, math });
+            if(startOfLine || i > 0) {
+                escaped = escapeLineStart(escaped);
+            }
+            if(endOfHeading && i === lines.length - 1) {
+                escaped = escapeHeadingEnd(escaped, { headingIds });
+            }
+            return escaped;
+        })
+        .join('\n');
+}
+
+const entityRE = /^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]*);/;
+
+function escapeInlineAggressive(text, { html, math }) {
+    const escaped = text
+        .replace(math ? /[`*\\~\[\]_$]/g : /[`*\\~\[\]_]/g, (m, i) =>
+            m === '_' && /[A-Za-z0-9]/.test(text.charAt(i - 1)) && /[A-Za-z0-9]/.test(text.charAt(i + 1))
+                ? m
+                : '\\' + m
+        )
+        .replace(/&/g, (m, i, str) => entityRE.test(str.slice(i)) ? '\\&' : m);
+
+    return html
+        ? escaped.replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        : escaped.replace(/</g, '\\<');
+}
+
+function escapeInlineMinimal(text, { html, math, inLink }) {
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charAt(i);
+        const prev = text.charAt(i - 1);
+        const next = text.charAt(i + 1);
+        let escape = false;
+        switch (char) {
+            case '\\':
+                escape = !next || isPunctuation(next.charCodeAt(0));
+                break;
+            case '`':
+            case '[':
+                escape = true;
+                break;
+            case ']':
+                escape = inLink;
+                break;
+            case '*':
+            case '~':
+                escape = !(isWhitespace(prev) && isWhitespace(next));
+                break;
+            case '$':
+                escape = math && !(isWhitespace(prev) && isWhitespace(next));
+                break;
+            case '_':
+                escape = !(isWhitespace(prev) && isWhitespace(next))
+                    && !(/[A-Za-z0-9]/.test(prev) && /[A-Za-z0-9]/.test(next));
+                break;
+            case '<':
+                escape = html ? /[A-Za-z\/!?]/.test(next) : /[A-Za-z]/.test(next);
+                break;
+            case '&':
+                escape = entityRE.test(text.slice(i));
+                break;
+        }
+        result += escape ? '\\' + char : char;
+    }
+    return result;
+}
+
+/**
+ * Block level constructs only recognized at the start of a line
+ */
+function escapeLineStart(line) {
+    return line
+        .replace(/^( {0,3})([-_*])((?:[ \t]*\2){2,}[ \t]*)$/, '$1\\$2$3') // thematic break
+        .replace(/^( {0,3})(#{1,6})(?=\s|$)/, '$1\\$2') // ATX heading
+        .replace(/^( {0,3})([-+*])(?=\s|$)/, '$1\\$2') // bullet list
+        .replace(/^( {0,3})(\d{1,9})([.)])(?=\s|$)/, '$1$2\\$3') // ordered list
+        .replace(/^( {0,3})(>)/, '$1\\$2') // blockquote
+        .replace(/^( {0,3})(=+[ \t]*)$/, '$1\\$2'); // setext heading underline
+}
+
+/**
+ * Heading constructs only recognized at the end of its content
+ */
+function escapeHeadingEnd(line, { headingIds }) {
+    if(headingIds) {
+        line = line.replace(/([ \t])(\{#[^\s{}]+\}[ \t]*)$/, '$1\\$2'); // heading id
+    }
+    return line.replace(/(^|[ \t])(#+[ \t]*)$/, '$1\\$2'); // ATX closing sequence
+}
+
+function isWhitespace(char) {
+    return !char ? false : /\s/.test(char);
+}
+
+/**
+ * Split YAML (`---`) or TOML (`+++`) front matter from the start of the markdown
+ *
+ * @param {string} markdown
+ * @returns {{ frontMatter: { raw: string, format: 'yaml'|'toml', content: string } | null, content: string }}
+ */
+export function extractFrontMatter(markdown) {
+    const match = /^(---|\+\+\+)[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?\1[ \t]*(?:\r?\n|$)(?:[ \t]*\r?\n)*/.exec(markdown);
+    if (!match) {
+        return { frontMatter: null, content: markdown };
+    }
+    return {
+        frontMatter: {
+            raw: match[0],
+            format: match[1] === '---' ? 'yaml' : 'toml',
+            content: match[2] ?? '',
+        },
+        content: markdown.slice(match[0].length),
+    };
+}
+
+/**
+ * GitHub style anchor: lower case, punctuation removed, spaces turned into hyphens
+ */
+export function slugify(text) {
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+        .replace(/ /g, '-');
+}
+
+/**
+ * Number repeated slugs: `title`, `title-1`, `title-2`...
+ * @param {string} slug
+ * @param {Set<string>} used
+ */
+export function uniqueSlug(slug, used) {
+    let result = slug || 'heading';
+    for(let i = 1; used.has(result); i++) {
+        result = `${slug || 'heading'}-${i}`;
+    }
+    return result;
+}
@@ -0,0 +1,36 @@
+import { slugify, uniqueSlug } from "./markdown";
+
+/**
+ * @typedef {{ level: number, text: string, id: string, pos: number, children: OutlineItem[] }} OutlineItem
+ */
+
+/**
+ * Heading tree of the document.
+ * Ids are the heading `id` attributes (see `headingIds` option), or the slugs auto ids would give.
+ * @param {import('prosemirror-model').Node} doc
+ * @returns {OutlineItem[]}
+ */
+export function getOutline(doc) {
+    const outline = [];
+    const parents = [];
+    const used = new Set();
+
+    doc.descendants((node, pos) => {
+        if(node.type.name !== 'heading') {
+            return !node.isTextblock;
+        }
+        const text = node.textContent;
+        const id = node.attrs.id ?? uniqueSlug(slugify(text), used);
+        const item = { level: node.attrs.level, text, id, pos, children: [] };
+        used.add(id);
+
+        while(parents.length && parents[parents.length - 1].level >= item.level) {
+            parents.pop();
+        }
+        (parents[parents.length - 1]?.children ?? outline).push(item);
+        parents.push(item);
+        return false;
+    });
+
+    return outline;
+}